@@ -0,0 +1,246 @@
+// js/CameraController.js
+import * as THREE from 'three';
+
+// Zoom: closest distance to the look-at point; the farthest frames the whole map
+const MIN_DISTANCE = 4;
+const ZOOM_SPEED = 0.001; // Per unit of wheel delta
+
+// Rotation: angles in radians; pitch is the camera's angle above the ground
+const DEFAULT_PITCH = Math.atan2(15, 12); // Same angle as the original fixed view from (0, 15, 12)
+const MIN_PITCH = 0.35;
+const MAX_PITCH = 1.45;
+const DRAG_ROTATE_SPEED = 0.005; // Per pixel of right-drag
+const HELD_ROTATE_SPEED = 1.5; // Per second while a rotate key is held
+
+// A press only becomes a drag once the pointer moves this many pixels, so clicks still build and select
+const DRAG_THRESHOLD = 5;
+
+// Edge scrolling: pointer within this many pixels of the canvas edge pans the map,
+// in map units per second per unit of camera distance
+const EDGE_SCROLL_MARGIN = 20;
+const EDGE_SCROLL_SPEED = 0.6;
+
+/**
+ * Orbits a perspective camera around a point on the ground.
+ * Left- or middle-drag pans, right-drag rotates, the wheel zooms and the
+ * pointer at the canvas edge scrolls when edge scrolling is on; rotate keys
+ * come in through CameraController#holdRotation. The look-at point stays
+ * inside the map bounds and zooming out stops once the whole map is in view.
+ *
+ * Camera matrices are updated as soon as the camera moves, so raycasts from
+ * pointer events always match what is on screen.
+ */
+export class CameraController {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - The camera to move.
+     * @param {HTMLElement} domElement - The canvas receiving pointer and wheel input.
+     * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} bounds - Map area on the ground.
+     * @param {object} [options]
+     * @param {boolean} [options.edgeScrolling=false] - Pan when the pointer is at the canvas edge.
+     */
+    constructor(camera, domElement, bounds, options = {}) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.bounds = bounds;
+        this.edgeScrolling = !!options.edgeScrolling;
+
+        this.target = new THREE.Vector3(); // Look-at point on the ground
+        this.yaw = 0; // 0 looks towards -z, as the original view did
+        this.pitch = DEFAULT_PITCH;
+        this.distance = MIN_DISTANCE;
+        this.maxDistance = MIN_DISTANCE;
+
+        this.drag = null; // { mode: 'pan'|'rotate', startX, startY, lastX, lastY, moved } while a button is held
+        this.dragged = false; // Whether the last press turned into a drag
+        this.heldRotations = new Set(); // Directions (1 = left, -1 = right) currently held
+        this.pointer = null; // Last pointer position over the canvas, for edge scrolling
+
+        this.listeners = [];
+        this.listen(domElement, 'pointerdown', event => this.onPointerDown(event));
+        this.listen(domElement, 'pointermove', event => this.onPointerMove(event));
+        this.listen(domElement, 'pointerup', () => this.endDrag());
+        this.listen(domElement, 'pointercancel', () => this.endDrag());
+        this.listen(domElement, 'pointerleave', () => { this.pointer = null; });
+        this.listen(domElement, 'wheel', event => this.onWheel(event), { passive: false });
+        this.listen(domElement, 'contextmenu', event => event.preventDefault()); // Right-drag rotates instead
+
+        this.resetView();
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Centers the camera on the map, facing the default direction, zoomed out to show all of it.
+     */
+    resetView() {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        this.target.set((minX + maxX) / 2, 0, (minZ + maxZ) / 2);
+        this.yaw = 0;
+        this.pitch = DEFAULT_PITCH;
+        this.updateZoomLimit();
+        this.distance = this.maxDistance;
+        this.apply();
+    }
+
+    /**
+     * Recomputes the zoom limit for the camera's aspect ratio. Call after resizing the viewport.
+     */
+    handleResize() {
+        this.updateZoomLimit();
+        this.apply();
+    }
+
+    /**
+     * Sets the farthest zoom to the distance at which the whole map fits in
+     * view, whichever way the camera faces.
+     */
+    updateZoomLimit() {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        const radius = Math.hypot(maxX - minX, maxZ - minZ) / 2;
+        const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+        this.maxDistance = Math.max(MIN_DISTANCE, radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2));
+    }
+
+    /**
+     * Turns edge scrolling on or off.
+     * @param {boolean} enabled
+     */
+    setEdgeScrolling(enabled) {
+        this.edgeScrolling = !!enabled;
+    }
+
+    /**
+     * Whether the last press on the canvas was a drag rather than a click.
+     * Click handlers check this so panning and rotating don't also build or select.
+     * @returns {boolean}
+     */
+    wasDragged() {
+        return this.dragged;
+    }
+
+    onPointerDown(event) {
+        this.dragged = false;
+        const mode = event.button === 2 ? 'rotate' : 'pan';
+        this.drag = { mode, startX: event.clientX, startY: event.clientY, lastX: event.clientX, lastY: event.clientY, moved: false };
+        this.domElement.setPointerCapture(event.pointerId); // Keep dragging when the pointer leaves the canvas
+    }
+
+    onPointerMove(event) {
+        this.pointer = { x: event.clientX, y: event.clientY };
+        const { drag } = this;
+        if (!drag) return;
+        if (!drag.moved && Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < DRAG_THRESHOLD) return;
+        drag.moved = true;
+
+        const dx = event.clientX - drag.lastX;
+        const dy = event.clientY - drag.lastY;
+        drag.lastX = event.clientX;
+        drag.lastY = event.clientY;
+        if (drag.mode === 'rotate') {
+            this.rotate(-dx * DRAG_ROTATE_SPEED, dy * DRAG_ROTATE_SPEED);
+        } else {
+            // Move the map with the pointer: dragging right slides the view left
+            const unitsPerPixel = 2 * this.distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2)
+                / this.domElement.clientHeight;
+            this.pan(-dx * unitsPerPixel, dy * unitsPerPixel / Math.sin(this.pitch));
+        }
+    }
+
+    endDrag() {
+        if (!this.drag) return;
+        this.dragged = this.drag.moved;
+        this.drag = null;
+    }
+
+    onWheel(event) {
+        event.preventDefault(); // Don't scroll the page
+        this.distance = THREE.MathUtils.clamp(this.distance * Math.exp(event.deltaY * ZOOM_SPEED), MIN_DISTANCE, this.maxDistance);
+        this.apply();
+    }
+
+    /**
+     * Starts or stops turning the camera every frame, e.g. while a rotate key is held.
+     * @param {number} direction - 1 turns left, -1 turns right.
+     * @param {boolean} held
+     */
+    holdRotation(direction, held) {
+        if (held) this.heldRotations.add(direction);
+        else this.heldRotations.delete(direction);
+    }
+
+    /**
+     * Moves the look-at point along the ground, relative to the way the camera faces.
+     * @param {number} right - Map units to the right of the screen.
+     * @param {number} forward - Map units towards the top of the screen.
+     */
+    pan(right, forward) {
+        const sin = Math.sin(this.yaw);
+        const cos = Math.cos(this.yaw);
+        this.target.x += right * cos - forward * sin;
+        this.target.z += -right * sin - forward * cos;
+        this.apply();
+    }
+
+    /**
+     * Turns the camera around the look-at point.
+     * @param {number} yaw - Radians around the vertical axis.
+     * @param {number} pitch - Radians up (positive) or down; kept between MIN_PITCH and MAX_PITCH.
+     */
+    rotate(yaw, pitch) {
+        this.yaw += yaw;
+        this.pitch = THREE.MathUtils.clamp(this.pitch + pitch, MIN_PITCH, MAX_PITCH);
+        this.apply();
+    }
+
+    /**
+     * Applies held rotation and edge scrolling. Call once per frame.
+     * @param {number} frameTime - Real seconds since the last frame.
+     */
+    update(frameTime) {
+        let turn = 0;
+        for (const direction of this.heldRotations) turn += direction;
+        if (turn) this.rotate(turn * HELD_ROTATE_SPEED * frameTime, 0);
+
+        if (this.edgeScrolling && this.pointer && !this.drag) {
+            const { x, y } = this.pointer;
+            const rect = this.domElement.getBoundingClientRect();
+            const right = (x > rect.right - EDGE_SCROLL_MARGIN ? 1 : 0) - (x < rect.left + EDGE_SCROLL_MARGIN ? 1 : 0);
+            const forward = (y < rect.top + EDGE_SCROLL_MARGIN ? 1 : 0) - (y > rect.bottom - EDGE_SCROLL_MARGIN ? 1 : 0);
+            const step = EDGE_SCROLL_SPEED * this.distance * frameTime;
+            if (right || forward) this.pan(right * step, forward * step);
+        }
+    }
+
+    /**
+     * Keeps the look-at point on the map and places the camera around it.
+     */
+    apply() {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        this.target.x = THREE.MathUtils.clamp(this.target.x, minX, maxX);
+        this.target.z = THREE.MathUtils.clamp(this.target.z, minZ, maxZ);
+        this.distance = THREE.MathUtils.clamp(this.distance, MIN_DISTANCE, this.maxDistance);
+
+        const horizontal = this.distance * Math.cos(this.pitch);
+        this.camera.position.set(
+            this.target.x + horizontal * Math.sin(this.yaw),
+            this.target.y + this.distance * Math.sin(this.pitch),
+            this.target.z + horizontal * Math.cos(this.yaw)
+        );
+        this.camera.lookAt(this.target);
+        this.camera.updateMatrixWorld(); // Raycasts before the next render use the new view
+    }
+
+    /**
+     * Removes all input listeners.
+     */
+    dispose() {
+        for (const { target, type, handler, options } of this.listeners) {
+            target.removeEventListener(type, handler, options);
+        }
+        this.listeners = [];
+    }
+}
@@ -0,0 +1,34 @@
+// js/Damage.js
+
+/**
+ * Damage types and how armor applies to them, keyed by type id.
+ * `armorFactor` is the share of the target's armor subtracted from each hit;
+ * `color` tints the floating damage numbers of hits of that type.
+ */
+export const DAMAGE_TYPES = {
+    'physical': { label: 'Physical', armorFactor: 1, color: '#ffffff' },
+    'explosive': { label: 'Explosive', armorFactor: 0.5, color: '#ffa040' },
+    'magic': { label: 'Magic', armorFactor: 0, color: '#d090ff' }
+};
+
+export const DEFAULT_DAMAGE_TYPE = 'physical';
+
+// Armor never reduces a hit below this share of its raw damage
+const MIN_DAMAGE_FRACTION = 0.1;
+
+/**
+ * Works out the damage a hit deals after armor and resistances.
+ * Armor is a flat reduction per hit, scaled by the damage type's armorFactor.
+ * Resistances are fractions per damage type (0.5 = half damage, -0.5 = 50% extra).
+ * @param {number} amount - Raw damage of the hit.
+ * @param {string} damageType - Key in DAMAGE_TYPES.
+ * @param {number} [armor=0] - Target's flat armor.
+ * @param {object} [resistances={}] - Target's resistance per damage type.
+ * @returns {number} The reduced damage, never negative.
+ */
+export function calculateDamage(amount, damageType, armor = 0, resistances = {}) {
+    const type = DAMAGE_TYPES[damageType] || DAMAGE_TYPES[DEFAULT_DAMAGE_TYPE];
+    const afterArmor = Math.max(amount - armor * type.armorFactor, amount * MIN_DAMAGE_FRACTION);
+    const resistance = resistances[damageType] || 0;
+    return Math.max(0, afterArmor * (1 - resistance));
+}
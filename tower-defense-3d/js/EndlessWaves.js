@@ -0,0 +1,87 @@
+// js/EndlessWaves.js
+
+/**
+ * Endless mode settings. A level may override any of them with an
+ * `endless` object (see LevelLoader.js).
+ *
+ *   baseBudget      Difficulty budget of wave 1; each enemy costs its `value`.
+ *   budgetGrowth    Factor the budget is multiplied by every wave.
+ *   healthGrowth    Extra enemy health per wave, as a fraction of base health.
+ *   bossEvery       A boss joins every N-th wave.
+ *   bossType        Enemy type used for bosses; defaults to the one with the most health.
+ *   bossHealth      Boss health multiplier, on top of the wave's health scaling.
+ *   bossShield      Regenerating shield on bosses, as a fraction of their health (0 = none).
+ *   baseInterval    Seconds between spawns in wave 1; shrinks by 3% per wave.
+ *   minInterval     Shortest spawn interval.
+ *   delay           Wave delay, as in authored waves.
+ */
+export const ENDLESS_DEFAULTS = {
+    baseBudget: 60,
+    budgetGrowth: 1.15,
+    healthGrowth: 0.1,
+    bossEvery: 5,
+    bossType: null,
+    bossHealth: 8,
+    bossShield: 0.25,
+    baseInterval: 1.0,
+    minInterval: 0.3,
+    delay: 5
+};
+
+// Boss size and reward multipliers
+const BOSS_SIZE = 1.6;
+const BOSS_VALUE = 5;
+
+/**
+ * Generates a wave for endless mode: the wave's budget is spent on a random
+ * mix of the level's enemy types, all of them scaled by wave number.
+ * @param {number} waveNumber - 1-based number of the wave being generated.
+ * @param {object} enemyTypes - The level's enemy definitions, keyed by type.
+ * @param {string[]} routeIds - Routes to spread the wave across.
+ * @param {Random} rng - Seeded generator; the same state gives the same wave.
+ * @param {object} [settings=ENDLESS_DEFAULTS] - See ENDLESS_DEFAULTS.
+ * @returns {object} A wave in the level format: { delay, enemies: [group, ...] }.
+ */
+export function generateWave(waveNumber, enemyTypes, routeIds, rng, settings = ENDLESS_DEFAULTS) {
+    const { baseBudget, budgetGrowth, healthGrowth, bossEvery, bossHealth, bossShield, baseInterval, minInterval, delay } = settings;
+    const budget = Math.round(baseBudget * Math.pow(budgetGrowth, waveNumber - 1));
+    const healthMultiplier = 1 + healthGrowth * (waveNumber - 1);
+    const interval = Math.max(minInterval, baseInterval * Math.pow(0.97, waveNumber - 1));
+    const cost = typeId => Math.max(1, enemyTypes[typeId].value);
+
+    // Spend the budget one enemy at a time on anything still affordable
+    const counts = new Map(); // Type id -> count, in the order first picked
+    const typeIds = Object.keys(enemyTypes);
+    let remaining = budget;
+    for (;;) {
+        const affordable = typeIds.filter(typeId => cost(typeId) <= remaining);
+        if (affordable.length === 0) break;
+        const typeId = rng.pick(affordable);
+        counts.set(typeId, (counts.get(typeId) || 0) + 1);
+        remaining -= cost(typeId);
+    }
+    if (counts.size === 0) {
+        counts.set(typeIds.reduce((cheapest, typeId) => cost(typeId) < cost(cheapest) ? typeId : cheapest), 1);
+    }
+
+    const spread = routeIds.length > 1 ? { routes: Object.fromEntries(routeIds.map(id => [id, 1])) } : {};
+    const enemies = Array.from(counts, ([type, count]) => ({
+        type, count, interval, ...spread, modifiers: { health: healthMultiplier }
+    }));
+
+    if (bossEvery > 0 && waveNumber % bossEvery === 0) {
+        const bossType = settings.bossType
+            || typeIds.reduce((strongest, typeId) => enemyTypes[typeId].health > enemyTypes[strongest].health ? typeId : strongest);
+        enemies.push({
+            type: bossType,
+            count: 1,
+            interval: interval * 2,
+            ...spread,
+            boss: true,
+            modifiers: { health: healthMultiplier * bossHealth, size: BOSS_SIZE, value: BOSS_VALUE },
+            abilities: bossShield > 0 ? [{ type: 'shield', amount: bossShield }] : []
+        });
+    }
+
+    return { delay, enemies };
+}
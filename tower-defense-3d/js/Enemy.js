@@ -1,23 +1,46 @@
-import * as THREE from 'three';
+import { Vec3 } from './Vec3.js';
+import { STATUS_EFFECTS, createStatusEffect } from './StatusEffects.js';
+import { DEFAULT_DAMAGE_TYPE, calculateDamage } from './Damage.js';
+import { ENEMY_ABILITIES, createEnemyAbility } from './EnemyAbilities.js';
+import { ObjectPool } from './ObjectPool.js';
 
 /**
  * Represents an enemy unit in the game.
+ * Holds simulation state only; meshes are attached by GameView.
  */
 export class Enemy {
     /**
      * Creates an enemy instance.
      * @param {Path} path - The path the enemy follows.
-     * @param {THREE.Scene} scene - The scene to add the enemy mesh to.
      * @param {object} config - Configuration for the enemy's stats.
+     * @param {string} [config.type] - Enemy type id from the level, kept for saves.
      * @param {number} [config.health=100] - Enemy health.
      * @param {number} [config.speed=2] - Enemy movement speed (units per second).
      * @param {number} [config.value=10] - Value awarded for defeating the enemy.
      * @param {number} [config.color=0xff0000] - Color of the enemy mesh.
      * @param {number} [config.size=0.5] - Size (radius) of the enemy mesh.
+     * @param {number} [config.armor=0] - Flat damage reduction per hit (see DAMAGE_TYPES for how each type is affected).
+     * @param {object} [config.resistances={}] - Damage reduction per damage type, e.g. { magic: 0.5 }.
+     * @param {object} [config.modifiers] - Multipliers { health, size, value } applied on top of the
+     *     stats, e.g. for scaled endless waves (see EndlessWaves.js).
+     * @param {boolean} [config.isBoss=false] - Whether the enemy is a boss.
+     * @param {object[]} [config.abilities=[]] - Ability configs, e.g. [{ type: 'heal', amount: 20 }] (see EnemyAbilities.js).
+     * @param {number} [config.waveNumber=0] - The wave that spawned the enemy, for wave statistics.
      */
-    constructor(path, scene, config = {}) {
+    constructor(path, config = {}) {
+        this.position = new Vec3();
+        this.previousPosition = new Vec3(); // Position before the last update, for render interpolation
+        this.reset(path, config);
+    }
+
+    /**
+     * Reinitializes the enemy, e.g. when enemyPool hands it out again.
+     * Takes the same arguments as the constructor.
+     * @param {Path} path
+     * @param {object} [config={}]
+     */
+    reset(path, config = {}) {
         this.path = path;
-        this.scene = scene;
 
         // Default configuration
         const defaults = {
@@ -25,48 +48,219 @@ export class Enemy {
             speed: 2,
             value: 10,
             color: 0xff0000,
-            size: 0.5
+            size: 0.5,
+            armor: 0,
+            resistances: {}
         };
         // Merge provided config with defaults
         const finalConfig = { ...defaults, ...config };
 
-        this.health = finalConfig.health;
+        const { health = 1, size = 1, value = 1 } = finalConfig.modifiers || {};
+
+        this.type = finalConfig.type || null;
+        this.isBoss = !!finalConfig.isBoss;
+        this.waveNumber = finalConfig.waveNumber || 0;
+        this.maxHealth = Math.round(finalConfig.health * health);
+        this.health = this.maxHealth;
         this.speed = finalConfig.speed;
-        this.value = finalConfig.value;
+        this.value = Math.round(finalConfig.value * value);
+        this.color = finalConfig.color;
+        this.size = finalConfig.size * size;
+        this.armor = finalConfig.armor;
+        this.resistances = finalConfig.resistances;
 
         this.currentWaypointIndex = 0;
+        this.distanceTravelled = 0; // Path progress, used by targeting priorities
+        this.effects = []; // Active status effects (see StatusEffects.js)
+        this.abilities = []; // Ability instances (see EnemyAbilities.js)
+        this.events = null; // The session's EventBus, assigned when the enemy enters play
+        this.lastDamagedBy = null; // Tower credited with the kill
         this.waypoints = this.path.getWaypoints();
+        this.pathLength = this.path.getLength();
+        this.position.set(0, 0, 0);
+        this.previousPosition.set(0, 0, 0);
 
         if (!this.waypoints || this.waypoints.length === 0) {
             console.error("Enemy created with an invalid or empty path.");
             return; // Prevent further initialization if path is bad
         }
 
-        // Create the visual representation (mesh)
-        const geometry = new THREE.SphereGeometry(finalConfig.size, 16, 16);
-        const material = new THREE.MeshStandardMaterial({ color: finalConfig.color });
-        this.mesh = new THREE.Mesh(geometry, material);
-
         // Set initial position to the first waypoint
-        this.mesh.position.copy(this.waypoints[0]);
+        this.position.copy(this.waypoints[0]);
+        this.previousPosition.copy(this.position);
 
-        // Add mesh to the scene
-        if (this.scene) {
-            this.scene.add(this.mesh);
+        for (const abilityConfig of finalConfig.abilities || []) {
+            const ability = createEnemyAbility(abilityConfig);
+            if (!ability) continue;
+            this.abilities.push(ability);
+            const { onSpawn } = ENEMY_ABILITIES[ability.type];
+            if (onSpawn) onSpawn(this, ability);
+        }
+    }
+
+    /**
+     * Applies a status effect, following the effect type's stacking rule.
+     * @param {object} config - Effect config, e.g. { type: 'slow', magnitude: 0.4, duration: 2 }.
+     */
+    applyEffect(config) {
+        const existing = this.effects.find(effect => effect.type === config.type);
+        if (!existing) {
+            const effect = createStatusEffect(config);
+            if (effect) this.effects.push(effect);
+            return;
+        }
+
+        const definition = STATUS_EFFECTS[config.type];
+        existing.remaining = Math.max(existing.remaining, config.duration);
+        existing.duration = Math.max(existing.duration, config.duration);
+        if (definition.stacking === 'stack') {
+            existing.stacks = Math.min(existing.stacks + 1, definition.maxStacks || Infinity);
         } else {
-            console.error("Enemy created without a valid scene.");
+            existing.magnitude = Math.max(existing.magnitude, config.magnitude || 0);
+        }
+    }
+
+    /**
+     * Checks whether a status effect of the given type is active.
+     * @param {string} type - Key in STATUS_EFFECTS.
+     * @returns {boolean}
+     */
+    hasEffect(type) {
+        return this.effects.some(effect => effect.type === type);
+    }
+
+    /**
+     * Checks whether the enemy has an ability of the given type.
+     * @param {string} type - Key in ENEMY_ABILITIES.
+     * @returns {boolean}
+     */
+    hasAbility(type) {
+        return this.abilities.some(ability => ability.type === type);
+    }
+
+    /**
+     * Sums the enemy's shields, e.g. for a shield bar.
+     * @returns {{shield: number, maxShield: number}} Both 0 without a shield ability.
+     */
+    getShield() {
+        let shield = 0;
+        let maxShield = 0;
+        for (const ability of this.abilities) {
+            if (ability.maxShield === undefined) continue;
+            shield += ability.shield;
+            maxShield += ability.maxShield;
+        }
+        return { shield, maxShield };
+    }
+
+    /**
+     * Runs the per-step and pulsed ability hooks.
+     * @param {number} deltaTime - Time elapsed since the last frame in seconds.
+     * @param {Enemy[]} enemies - Enemies in play, for abilities that affect others.
+     */
+    updateAbilities(deltaTime, enemies) {
+        for (const ability of this.abilities) {
+            const definition = ENEMY_ABILITIES[ability.type];
+            if (definition.update) definition.update(this, ability, deltaTime);
+            if (definition.onPulse && ability.interval > 0) {
+                ability.pulseTimer -= deltaTime;
+                while (ability.pulseTimer <= 0) {
+                    definition.onPulse(this, ability, enemies);
+                    ability.pulseTimer += ability.interval;
+                }
+            }
+        }
+    }
+
+    /**
+     * Collects the enemies this one's abilities spawn when it dies.
+     * @returns {{type: string, count: number}[]}
+     */
+    getDeathSpawns() {
+        const spawns = [];
+        for (const ability of this.abilities) {
+            const { onDeath } = ENEMY_ABILITIES[ability.type];
+            if (onDeath) spawns.push(...onDeath(this, ability));
+        }
+        return spawns;
+    }
+
+    /**
+     * Puts the enemy at the same point of its route as another enemy, e.g. for split-off enemies.
+     * @param {Enemy} other - An enemy on the same route (flying or not).
+     */
+    copyProgress(other) {
+        this.position.copy(other.position);
+        this.previousPosition.copy(other.position);
+        // A flyer's route is only spawn and exit, so the index is capped to this enemy's own waypoints
+        this.currentWaypointIndex = Math.min(other.currentWaypointIndex, this.waypoints.length - 1);
+        this.distanceTravelled = other.distanceTravelled;
+    }
+
+    /**
+     * Ticks active effects and drops the ones that expired.
+     * @param {number} deltaTime - Time elapsed since the last frame in seconds.
+     */
+    updateEffects(deltaTime) {
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            const effect = this.effects[i];
+            const definition = STATUS_EFFECTS[effect.type];
+            const elapsed = Math.min(deltaTime, effect.remaining);
+
+            if (definition.onTick && effect.tickInterval > 0) {
+                effect.tickTimer -= elapsed;
+                while (effect.tickTimer <= 0) {
+                    definition.onTick(this, effect);
+                    effect.tickTimer += effect.tickInterval;
+                }
+            }
+
+            effect.remaining -= deltaTime;
+            if (effect.remaining <= 0) {
+                this.effects.splice(i, 1);
+            }
         }
     }
 
     /**
-     * Updates the enemy's position along the path.
+     * Combined product of one multiplier hook over all active effects.
+     * @param {string} hook - 'speedMultiplier' or 'damageTakenMultiplier'.
+     * @returns {number}
+     */
+    getEffectMultiplier(hook) {
+        let multiplier = 1;
+        for (const effect of this.effects) {
+            const modifier = STATUS_EFFECTS[effect.type][hook];
+            if (modifier) multiplier *= modifier(effect);
+        }
+        return Math.max(0, multiplier);
+    }
+
+    /**
+     * Current movement speed after status effects.
+     * @returns {number} Units per second.
+     */
+    getCurrentSpeed() {
+        return this.speed * this.getEffectMultiplier('speedMultiplier');
+    }
+
+    /**
+     * Updates status effects, abilities and the enemy's position along the path.
      * @param {number} deltaTime - Time elapsed since the last frame in seconds.
+     * @param {Enemy[]} [enemies=[]] - Enemies in play, for abilities that affect others.
      */
-    update(deltaTime) {
-        if (!this.mesh || this.hasReachedEnd()) {
-            return; // Nothing to update if mesh doesn't exist or enemy finished
+    update(deltaTime, enemies = []) {
+        this.previousPosition.copy(this.position);
+        if (this.hasReachedEnd()) {
+            return; // Nothing to update if enemy finished
         }
 
+        this.updateEffects(deltaTime);
+        if (this.isDead()) {
+            return; // Killed by damage over time
+        }
+        this.updateAbilities(deltaTime, enemies);
+
         const targetWaypoint = this.waypoints[this.currentWaypointIndex];
         if (!targetWaypoint) {
              // Should not happen if hasReachedEnd is checked, but good safety net
@@ -74,28 +268,43 @@ export class Enemy {
             return;
         }
 
-        const direction = new THREE.Vector3().subVectors(targetWaypoint, this.mesh.position);
+        const direction = new Vec3().subVectors(targetWaypoint, this.position);
         const distance = direction.length();
-        const moveDistance = this.speed * deltaTime;
+        const moveDistance = this.getCurrentSpeed() * deltaTime;
 
         if (moveDistance >= distance) {
             // Reached or passed the waypoint
-            this.mesh.position.copy(targetWaypoint);
+            this.position.copy(targetWaypoint);
             this.currentWaypointIndex++;
+            this.distanceTravelled += distance;
         } else {
             // Move towards the waypoint
             direction.normalize();
-            this.mesh.position.addScaledVector(direction, moveDistance);
+            this.position.addScaledVector(direction, moveDistance);
+            this.distanceTravelled += moveDistance;
         }
     }
 
     /**
-     * Reduces the enemy's health.
-     * @param {number} amount - The amount of damage to inflict.
+     * Reduces the enemy's health after armor, resistances and defense-lowering effects.
+     * Shields take the damage first.
+     * @param {number} amount - The raw amount of damage to inflict.
+     * @param {string} [damageType=DEFAULT_DAMAGE_TYPE] - Key in DAMAGE_TYPES.
+     * @param {Tower|null} [tower=null] - The tower dealing the damage, reported in damageDealt.
+     * @returns {number} The effective damage dealt, including any absorbed by shields.
      */
-    takeDamage(amount) {
-        this.health -= amount;
-        // Optional: Add visual feedback for damage here
+    takeDamage(amount, damageType = DEFAULT_DAMAGE_TYPE, tower = null) {
+        const effective = calculateDamage(amount, damageType, this.armor, this.resistances)
+            * this.getEffectMultiplier('damageTakenMultiplier');
+        let remaining = effective;
+        for (const ability of this.abilities) {
+            const { absorb } = ENEMY_ABILITIES[ability.type];
+            if (absorb) remaining = absorb(this, ability, remaining);
+        }
+        this.health -= remaining;
+        if (tower) this.lastDamagedBy = tower;
+        if (this.events) this.events.emit('damageDealt', { enemy: this, amount: effective, damageType, tower });
+        return effective;
     }
 
     /**
@@ -106,28 +315,116 @@ export class Enemy {
         return this.health <= 0;
     }
 
+    /**
+     * Distance left until the enemy reaches its route's exit.
+     * @returns {number}
+     */
+    getRemainingDistance() {
+        return Math.max(0, this.pathLength - this.distanceTravelled);
+    }
+
+    /**
+     * Predicts where the enemy will be after some time if it keeps its current speed,
+     * following the rest of its path.
+     * @param {number} time - Seconds ahead.
+     * @returns {Vec3} The predicted position; the path's exit if it would get there first.
+     */
+    predictPosition(time) {
+        const predicted = this.position.clone();
+        let remaining = this.getCurrentSpeed() * time;
+        for (let i = this.currentWaypointIndex; i < this.waypoints.length && remaining > 0; i++) {
+            const toWaypoint = new Vec3().subVectors(this.waypoints[i], predicted);
+            const distance = toWaypoint.length();
+            if (remaining < distance) {
+                predicted.addScaledVector(toWaypoint.normalize(), remaining);
+                break;
+            }
+            predicted.copy(this.waypoints[i]);
+            remaining -= distance;
+        }
+        return predicted;
+    }
+
     /**
      * Checks if the enemy has reached the end of the path.
      * @returns {boolean} True if the enemy has passed the last waypoint, false otherwise.
      */
     hasReachedEnd() {
-        return this.currentWaypointIndex >= this.waypoints.length;
+        return !this.waypoints || this.currentWaypointIndex >= this.waypoints.length;
+    }
+
+    /**
+     * Captures the enemy's state for a save file. The tower that last damaged
+     * it is saved as an index into the session's tower list.
+     * @param {function(Tower): number} indexOfTower - Returns a tower's index, or -1 if it was sold.
+     * @returns {object} Plain JSON-safe data; see Enemy.deserialize.
+     */
+    serialize(indexOfTower) {
+        return {
+            type: this.type,
+            route: this.path.id,
+            isBoss: this.isBoss,
+            waveNumber: this.waveNumber,
+            maxHealth: this.maxHealth,
+            health: this.health,
+            size: this.size,
+            value: this.value,
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            currentWaypointIndex: this.currentWaypointIndex,
+            distanceTravelled: this.distanceTravelled,
+            effects: this.effects.map(effect => ({ ...effect })),
+            abilities: this.abilities.map(ability => ({ ...ability })),
+            lastDamagedBy: this.lastDamagedBy ? indexOfTower(this.lastDamagedBy) : -1
+        };
+    }
+
+    /**
+     * Rebuilds an enemy from Enemy#serialize output.
+     * @param {object} data - Serialized enemy.
+     * @param {Object<string, Path>} routes - The session's routes, keyed by id.
+     * @param {object} enemyTypes - The level's enemy definitions, keyed by type.
+     * @param {function(number): (Tower|undefined)} towerAt - Looks up a restored tower by index.
+     * @returns {Enemy}
+     * @throws {Error} If the route or enemy type is unknown.
+     */
+    static deserialize(data, routes, enemyTypes, towerAt) {
+        const path = routes[data.route];
+        const typeConfig = enemyTypes[data.type];
+        if (!path || !typeConfig) {
+            throw new Error(`Cannot restore enemy of type "${data.type}" on route "${data.route}".`);
+        }
+        // Saved abilities include any a wave group added; older saves only have the type's
+        const abilities = data.abilities || typeConfig.abilities;
+        const enemy = enemyPool.acquire(path, {
+            ...typeConfig, type: data.type, isBoss: data.isBoss, abilities, waveNumber: data.waveNumber
+        });
+        // Scaled stats are saved as they are; older saves only have health
+        if (data.maxHealth !== undefined) enemy.maxHealth = data.maxHealth;
+        if (data.size !== undefined) enemy.size = data.size;
+        if (data.value !== undefined) enemy.value = data.value;
+        enemy.health = data.health;
+        enemy.position.copy(data.position);
+        enemy.previousPosition.copy(enemy.position);
+        enemy.currentWaypointIndex = data.currentWaypointIndex;
+        enemy.distanceTravelled = data.distanceTravelled;
+        enemy.effects = data.effects.map(effect => ({ ...effect }));
+        if (data.abilities) enemy.abilities = data.abilities.map(ability => ({ ...ability }));
+        enemy.lastDamagedBy = towerAt(data.lastDamagedBy === undefined ? -1 : data.lastDamagedBy) || null;
+        return enemy;
     }
 
     /**
-     * Removes the enemy's mesh from the scene and cleans up resources.
+     * Releases references held by the enemy once it leaves play.
      */
     dispose() {
-        if (this.scene && this.mesh) {
-            this.scene.remove(this.mesh);
-        }
-        // Optional: Dispose geometry and material if they are unique to this enemy
-        // if (this.mesh) {
-        //     if (this.mesh.geometry) this.mesh.geometry.dispose();
-        //     if (this.mesh.material) this.mesh.material.dispose();
-        // }
-        this.mesh = null; // Help garbage collection
-        this.scene = null;
         this.path = null;
+        this.waypoints = null;
+        this.effects = [];
+        this.abilities = [];
+        this.events = null;
+        this.lastDamagedBy = null;
     }
-}
\ No newline at end of file
+}
+
+// Shared by every session; enemies leaving play are released back to it (see GameSession#removeEnemy)
+export const enemyPool = new ObjectPool((path, config) => new Enemy(path, config));
@@ -0,0 +1,87 @@
+// js/EnemyAbilities.js
+import { Vec3 } from './Vec3.js';
+
+/**
+ * Registry of abilities an enemy type can have, keyed by ability type.
+ * Level files list them per enemy type as `abilities: [{ type, ...settings }]`;
+ * a wave group may add more (e.g. shields on endless bosses).
+ *
+ * Optional hooks, each given the enemy and its ability instance:
+ *  - `onSpawn(enemy, ability)`: runs once when the enemy is created.
+ *  - `interval` + `onPulse(enemy, ability, enemies)`: runs every `interval` seconds.
+ *  - `update(enemy, ability, deltaTime)`: runs every step.
+ *  - `absorb(enemy, ability, damage)`: returns how much of a hit gets through.
+ *  - `onDeath(enemy, ability)`: returns enemies to spawn in its place,
+ *    as [{ type, count }]; WaveManager#spawnSplit places them on the path.
+ */
+export const ENEMY_ABILITIES = {
+    'split': {
+        // into: enemy type spawned on death; count: how many
+        defaults: { into: null, count: 2 },
+        onDeath: (enemy, ability) => [{ type: ability.into, count: ability.count }]
+    },
+    'heal': {
+        // amount: health restored to each ally within radius per pulse (the healer excluded)
+        defaults: { radius: 2.5, amount: 15, interval: 2 },
+        onPulse: (enemy, ability, enemies) => {
+            const radiusSq = ability.radius * ability.radius;
+            for (const ally of enemies) {
+                if (ally === enemy || ally.isDead() || ally.hasReachedEnd()) continue;
+                if (ally.position.distanceToSquared(enemy.position) <= radiusSq) {
+                    ally.health = Math.min(ally.maxHealth, ally.health + ability.amount);
+                }
+            }
+        }
+    },
+    'shield': {
+        // amount: shield strength as a fraction of max health; regen: fraction of the
+        // full shield restored per second, once `delay` seconds pass without a hit
+        defaults: { amount: 0.3, regen: 0.2, delay: 2 },
+        onSpawn: (enemy, ability) => {
+            ability.maxShield = Math.round(enemy.maxHealth * ability.amount);
+            ability.shield = ability.maxShield;
+            ability.sinceHit = 0;
+        },
+        update: (enemy, ability, deltaTime) => {
+            ability.sinceHit += deltaTime;
+            if (ability.sinceHit >= ability.delay) {
+                ability.shield = Math.min(ability.maxShield, ability.shield + ability.maxShield * ability.regen * deltaTime);
+            }
+        },
+        absorb: (enemy, ability, damage) => {
+            ability.sinceHit = 0;
+            const absorbed = Math.min(ability.shield, damage);
+            ability.shield -= absorbed;
+            return damage - absorbed;
+        }
+    },
+    'flying': {
+        // altitude: flight height; flyers go straight from their route's spawn to its exit
+        defaults: { altitude: 1.5 },
+        onSpawn: (enemy, ability) => {
+            const start = enemy.waypoints[0];
+            const end = enemy.waypoints[enemy.waypoints.length - 1];
+            enemy.waypoints = [new Vec3(start.x, ability.altitude, start.z), new Vec3(end.x, ability.altitude, end.z)];
+            enemy.pathLength = enemy.waypoints[0].distanceTo(enemy.waypoints[1]);
+            enemy.position.copy(enemy.waypoints[0]);
+            enemy.previousPosition.copy(enemy.position);
+        }
+    }
+};
+
+/**
+ * Creates an ability instance from an ability config, filling in the type's defaults.
+ * @param {object} config - Ability config, e.g. { type: 'heal', amount: 20 }.
+ * @param {string} config.type - Key in ENEMY_ABILITIES.
+ * @returns {object|null} The ability instance, or null if the type is unknown.
+ */
+export function createEnemyAbility(config) {
+    const definition = ENEMY_ABILITIES[config.type];
+    if (!definition) {
+        console.warn(`Unknown enemy ability: ${config.type}`);
+        return null;
+    }
+    const ability = { ...definition.defaults, ...config };
+    if (definition.onPulse) ability.pulseTimer = ability.interval;
+    return ability;
+}
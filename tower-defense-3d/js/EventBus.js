@@ -0,0 +1,107 @@
+// js/EventBus.js
+
+/**
+ * Events a GameSession announces on its `events` bus, keyed by name, with the
+ * fields of each payload. Subscribing to or emitting a name not listed here
+ * throws, so a typo fails loudly instead of silently never firing.
+ *
+ *  - enemySpawned: { enemy, parent } — parent is the enemy it split from, or null.
+ *  - enemyKilled: { enemy, gold, tower } — gold awarded for the kill; tower is the one that
+ *    damaged the enemy last, or null.
+ *  - enemyLeaked: { enemy, lives } — lives left after the leak.
+ *  - projectileFired: { projectile, tower, target }
+ *  - projectileSpent: { projectile, tower, hit } — the projectile is done; hit if it damaged anything.
+ *  - damageDealt: { enemy, amount, damageType, tower } — amount after armor, resistances and
+ *    effects, including any absorbed by shields; tower is null for damage over time.
+ *  - towerBuilt: { tower, cost }
+ *  - towerUpgraded: { tower, level, cost }
+ *  - towerSold: { tower, refund }
+ *  - waveStarted: { waveNumber, earlyCallBonus }
+ *  - waveCompleted: { waveNumber } — every enemy spawned so far is gone.
+ *  - gameOver: { status, waveNumber } — status is 'GAME_WON' or 'GAME_OVER'.
+ *
+ * Events fire synchronously, in the middle of a step. Listeners may read the
+ * session but must not change it, or replays would no longer reproduce a run;
+ * player actions still go through GameSession#execute.
+ */
+export const GAME_EVENTS = {
+    enemySpawned: ['enemy', 'parent'],
+    enemyKilled: ['enemy', 'gold', 'tower'],
+    enemyLeaked: ['enemy', 'lives'],
+    projectileFired: ['projectile', 'tower', 'target'],
+    projectileSpent: ['projectile', 'tower', 'hit'],
+    damageDealt: ['enemy', 'amount', 'damageType', 'tower'],
+    towerBuilt: ['tower', 'cost'],
+    towerUpgraded: ['tower', 'level', 'cost'],
+    towerSold: ['tower', 'refund'],
+    waveStarted: ['waveNumber', 'earlyCallBonus'],
+    waveCompleted: ['waveNumber'],
+    gameOver: ['status', 'waveNumber']
+};
+
+/**
+ * Synchronous publish/subscribe for GAME_EVENTS. UI, stats, audio and other
+ * systems that react to the game subscribe here instead of polling the session.
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // Event name -> handlers, replaced (never mutated) on change
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} name - Key in GAME_EVENTS.
+     * @param {function(object): void} handler - Called with the event's payload.
+     * @returns {function(): void} Unsubscribes the handler.
+     * @throws {Error} If the event name is unknown.
+     */
+    on(name, handler) {
+        checkEventName(name);
+        this.listeners.set(name, [...(this.listeners.get(name) || []), handler]);
+        return () => this.off(name, handler);
+    }
+
+    /**
+     * Unsubscribes a handler added with EventBus#on.
+     * @param {string} name - Key in GAME_EVENTS.
+     * @param {function(object): void} handler
+     */
+    off(name, handler) {
+        const handlers = this.listeners.get(name);
+        if (!handlers) return;
+        this.listeners.set(name, handlers.filter(existing => existing !== handler));
+    }
+
+    /**
+     * Calls every handler subscribed to an event. A handler that throws is
+     * reported and skipped, so one broken listener cannot stop the game.
+     * @param {string} name - Key in GAME_EVENTS.
+     * @param {object} payload - The fields listed for the event.
+     * @throws {Error} If the event name is unknown.
+     */
+    emit(name, payload) {
+        checkEventName(name);
+        const handlers = this.listeners.get(name);
+        if (!handlers) return;
+        for (const handler of handlers) { // Handlers added or removed meanwhile take effect from the next emit
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${name}" listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Removes every handler, e.g. when the session is replaced.
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+function checkEventName(name) {
+    if (!GAME_EVENTS[name]) {
+        throw new Error(`Unknown game event: ${name}`);
+    }
+}
@@ -0,0 +1,92 @@
+// js/GameLoop.js
+
+// Simulation ticks per simulated second
+export const TICK_RATE = 60;
+export const TICK_DURATION = 1 / TICK_RATE;
+
+// Longest real frame time that is simulated; anything beyond (background tab, debugger) is dropped
+export const MAX_FRAME_TIME = 0.25;
+
+// Game speed multipliers offered in the UI
+export const GAME_SPEEDS = [1, 2, 4];
+
+/**
+ * Drives a GameSession with fixed-length ticks, independent of the render rate.
+ * Real frame time (scaled by the game speed) is collected in an accumulator and
+ * spent in whole ticks; the leftover fraction is exposed for render interpolation.
+ */
+export class GameLoop {
+    /**
+     * @param {GameSession} session - The session to advance.
+     */
+    constructor(session) {
+        this.session = session;
+        this.paused = false;
+        this.speed = GAME_SPEEDS[0];
+        this.accumulator = 0; // Simulated seconds not yet spent in ticks
+        this.beforeTick = null; // Optional function(session) run before every tick, e.g. to apply replay commands
+    }
+
+    /**
+     * Switches to another session, e.g. after loading a save. Pause and speed are kept.
+     * @param {GameSession} session
+     */
+    setSession(session) {
+        this.session = session;
+        this.accumulator = 0;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    togglePaused() {
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    /**
+     * Changes the game speed.
+     * @param {number} speed - One of GAME_SPEEDS.
+     * @returns {boolean} True if the speed is supported and was applied.
+     */
+    setSpeed(speed) {
+        if (!GAME_SPEEDS.includes(speed)) {
+            console.warn(`Unsupported game speed: ${speed}`);
+            return false;
+        }
+        this.speed = speed;
+        return true;
+    }
+
+    /**
+     * Runs as many fixed ticks as the elapsed real time allows.
+     * @param {number} frameTime - Real seconds since the previous call.
+     * @returns {number} The number of ticks run.
+     */
+    advance(frameTime) {
+        if (this.paused || this.session.isEnded()) return 0;
+
+        this.accumulator += Math.min(frameTime, MAX_FRAME_TIME) * this.speed;
+        let ticks = 0;
+        while (this.accumulator >= TICK_DURATION) {
+            if (this.beforeTick) this.beforeTick(this.session);
+            this.session.step(TICK_DURATION);
+            this.accumulator -= TICK_DURATION;
+            ticks++;
+            if (this.session.isEnded()) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+        return ticks;
+    }
+
+    /**
+     * How far the current moment lies between the last tick and the next one.
+     * @returns {number} 0 to 1; renderers blend previous and current positions by it.
+     */
+    getInterpolationAlpha() {
+        return this.accumulator / TICK_DURATION;
+    }
+}
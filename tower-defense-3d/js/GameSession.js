@@ -0,0 +1,528 @@
+// js/GameSession.js
+import { Enemy, enemyPool } from './Enemy.js';
+import { EventBus } from './EventBus.js';
+import { GameStats } from './GameStats.js';
+import { Path } from './Path.js';
+import { PlacementGrid } from './PlacementGrid.js';
+import { Projectile, projectilePool } from './Projectile.js';
+import { PROJECTILE_STATUS } from './ProjectileBehaviors.js';
+import { Random } from './Random.js';
+import { SpatialHash } from './SpatialHash.js';
+import { Tower } from './Tower.js';
+import { TOWER_TYPES } from './TowerTypes.js';
+import { WaveManager } from './WaveManager.js';
+
+// Share of a tower's total investment refunded when sold
+export const SELL_REFUND_RATE = 0.6;
+export const BUILD_PHASE_SELL_REFUND_RATE = 0.9; // Between waves, when no enemies are on the map
+
+// Gold per second of countdown skipped by calling the next wave early
+export const EARLY_CALL_GOLD_PER_SECOND = 2;
+
+// Cell size of the enemy spatial index; close to typical tower ranges and splash radii
+const ENEMY_INDEX_CELL_SIZE = 2;
+
+/**
+ * Owns the state and rules of a single game: resources, entities and waves.
+ * Has no knowledge of three.js or the DOM, so a full game can be stepped in
+ * Node; the browser build attaches rendering (GameView) and input on top.
+ * Everything that happens in the game is announced on `events` (see GAME_EVENTS).
+ */
+export class GameSession {
+    /**
+     * Creates a new game session for a level.
+     * @param {object} level - A level as returned by parseLevel (see LevelLoader.js).
+     * @param {object} [options]
+     * @param {number} [options.seed] - Seed for randomized content; random if omitted. Recorded in replays.
+     * @param {boolean} [options.endless=false] - Keep generating scaling waves after the level's own
+     *     waves instead of winning (see EndlessWaves.js).
+     */
+    constructor(level, options = {}) {
+        this.level = level;
+        const { startingGold, startingLives } = level.economy;
+        this.seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 0x100000000);
+        this.rng = new Random(this.seed); // All gameplay randomness comes from here, so runs can be reproduced
+        this.endless = !!options.endless;
+
+        this.gold = startingGold;
+        this.lives = startingLives;
+        this.currentWaveNumber = 0;
+        this.gameStatus = 'IDLE'; // IDLE, WAVE_ACTIVE, WAVE_COMPLETE, GAME_OVER, GAME_WON
+        this.autoStart = false; // Start the next wave as soon as its countdown runs out
+        this.tickCount = 0; // Steps simulated so far; commands are timestamped with it
+        this.commandLog = []; // Every applied player command as { tick, type, ... }, for replays
+        this.events = new EventBus(); // Not saved; subscribers attach to each session they show
+        this.stats = new GameStats(this.events); // Per-tower and per-wave numbers for the end-of-game report
+
+        this.routes = {}; // Path per route id, in level order
+        for (const [routeId, route] of Object.entries(level.routes)) {
+            this.routes[routeId] = new Path(route.waypoints, routeId);
+        }
+        this.grid = new PlacementGrid({
+            width: level.ground.width,
+            depth: level.ground.depth,
+            paths: Object.values(this.routes),
+            pathBuffer: level.pathBuffer,
+            buildZones: level.buildZones
+        });
+        this.towers = [];
+        this.enemies = []; // Populated by the WaveManager
+        this.projectiles = [];
+        this.enemyIndex = new SpatialHash(ENEMY_INDEX_CELL_SIZE); // Enemies by position, brought up to date on the first query of each step
+        this.waveManager = new WaveManager(this.routes, this.enemies, level.waves, level.enemyTypes, {
+            endless: this.endless ? level.endless : null,
+            rng: this.rng,
+            events: this.events
+        });
+    }
+
+    /**
+     * Checks whether the game has ended, either won or lost.
+     * @returns {boolean}
+     */
+    isEnded() {
+        return this.gameStatus === 'GAME_OVER' || this.gameStatus === 'GAME_WON';
+    }
+
+    /**
+     * Checks whether the next wave may be started. During a wave this means
+     * calling the next one early, so the two overlap.
+     * @returns {boolean}
+     */
+    canStartWave() {
+        if (this.isEnded()) return false;
+        if (this.gameStatus === 'WAVE_ACTIVE') return this.waveManager.hasNextWave();
+        return true;
+    }
+
+    /**
+     * Returns the seconds left on the countdown to the next wave.
+     * @returns {number|null} null while no countdown is running (before the first wave, or while a wave is spawning).
+     */
+    getTimeUntilNextWave() {
+        return this.waveManager.timeUntilNextWave;
+    }
+
+    /**
+     * Calculates the gold bonus for starting the next wave right now instead of waiting.
+     * @returns {number}
+     */
+    getEarlyCallBonus() {
+        return Math.floor(this.waveManager.getTimeSavedByCallingNow() * EARLY_CALL_GOLD_PER_SECOND);
+    }
+
+    /**
+     * Turns automatic wave starts on or off.
+     * @param {boolean} enabled
+     * @returns {boolean} True if the setting changed.
+     */
+    setAutoStart(enabled) {
+        if (this.isEnded() || this.autoStart === !!enabled) return false;
+        this.autoStart = !!enabled;
+        return true;
+    }
+
+    /**
+     * Starts the next wave if allowed, paying the early-call bonus for any countdown skipped.
+     * Once every wave has been started and cleared, this wins the game instead.
+     * @returns {boolean} True if a wave started or the game was won.
+     */
+    startNextWave() {
+        if (!this.canStartWave()) return false;
+
+        if (!this.waveManager.hasNextWave()) {
+            if (this.waveManager.isWaveActive()) return false; // The last wave must be cleared first
+            this.endGame('GAME_WON');
+            return true;
+        }
+
+        const earlyCallBonus = this.getEarlyCallBonus();
+        this.waveManager.startNextWave();
+        this.gameStatus = 'WAVE_ACTIVE';
+        this.currentWaveNumber = this.waveManager.getCurrentWaveNumber();
+        this.gold += earlyCallBonus;
+        this.events.emit('waveStarted', { waveNumber: this.currentWaveNumber, earlyCallBonus });
+        return true;
+    }
+
+    /**
+     * Summarizes the game for the end-of-game report (see GameStats).
+     * @returns {object} Plain JSON-safe data: the result plus per-tower and per-wave statistics.
+     */
+    getReport() {
+        return {
+            levelId: this.level.id,
+            endless: this.endless,
+            status: this.gameStatus,
+            wave: this.currentWaveNumber,
+            gold: this.gold,
+            lives: this.lives,
+            ...this.stats.getReport()
+        };
+    }
+
+    /**
+     * Ends the game and announces the result.
+     * @param {string} status - 'GAME_WON' or 'GAME_OVER'.
+     */
+    endGame(status) {
+        this.gameStatus = status;
+        this.events.emit('gameOver', { status, waveNumber: this.currentWaveNumber });
+    }
+
+    /**
+     * Checks whether a tower could be built at a position right now.
+     * @param {{x: number, z: number}} position - Ground position under the pointer.
+     * @param {string} typeId - Key of the tower archetype in TOWER_TYPES.
+     * @returns {string|null} null if allowed, else 'GAME_ENDED', 'UNKNOWN_TYPE', 'NOT_ENOUGH_GOLD' or a PlacementGrid reason.
+     */
+    validatePlacement(position, typeId) {
+        if (this.isEnded()) return 'GAME_ENDED';
+        const type = TOWER_TYPES[typeId];
+        if (!type) return 'UNKNOWN_TYPE';
+        const gridReason = this.grid.validate(position);
+        if (gridReason) return gridReason;
+        if (!this.canAfford(typeId)) return 'NOT_ENOUGH_GOLD';
+        return null;
+    }
+
+    /**
+     * Checks whether the player has enough gold to build a tower type.
+     * @param {string} typeId - Key of the tower archetype in TOWER_TYPES.
+     * @returns {boolean}
+     */
+    canAfford(typeId) {
+        const type = TOWER_TYPES[typeId];
+        return !!type && this.gold >= type.cost;
+    }
+
+    /**
+     * Builds a tower in the grid cell under a position. Gold is only charged once the tower is placed.
+     * @param {{x: number, z: number}} position - Ground position; snapped to the cell centre.
+     * @param {string} typeId - Key of the tower archetype in TOWER_TYPES.
+     * @returns {{tower: Tower|null, reason: string|null}} The new tower, or the reason it was rejected.
+     */
+    buildTower(position, typeId) {
+        const reason = this.validatePlacement(position, typeId);
+        if (reason) return { tower: null, reason };
+
+        const tower = new Tower(this.grid.snap(position), this.projectiles, typeId);
+        this.addTower(tower);
+        this.gold -= tower.cost;
+        this.events.emit('towerBuilt', { tower, cost: tower.cost });
+        return { tower, reason: null };
+    }
+
+    /**
+     * Puts a tower into play and marks its grid cell as occupied. No checks or costs.
+     * @param {Tower} tower - A tower positioned at a cell centre.
+     */
+    addTower(tower) {
+        tower.cell = this.grid.getCell(tower.position);
+        tower.events = this.events;
+        this.grid.occupy(tower.cell, tower);
+        this.towers.push(tower);
+    }
+
+    /**
+     * Upgrades a tower if the player can pay for it.
+     * @param {Tower} tower - The tower to upgrade.
+     * @param {string} [specializationId] - Required when the next upgrade is the specialization choice.
+     * @returns {boolean} True if the tower was upgraded.
+     */
+    upgradeTower(tower, specializationId) {
+        if (this.isEnded()) return false;
+
+        const cost = tower.getUpgradeCost(specializationId);
+        if (cost === null || this.gold < cost) return false;
+
+        if (!tower.upgrade(specializationId)) return false;
+        this.gold -= cost;
+        tower.totalInvestment += cost;
+        this.events.emit('towerUpgraded', { tower, level: tower.level, cost });
+        return true;
+    }
+
+    /**
+     * Checks whether the game is between waves, when selling refunds more.
+     * @returns {boolean}
+     */
+    isBuildPhase() {
+        return this.gameStatus === 'IDLE' || this.gameStatus === 'WAVE_COMPLETE';
+    }
+
+    /**
+     * Calculates the gold returned for selling a tower right now.
+     * @param {Tower} tower - The tower to price.
+     * @returns {number}
+     */
+    getSellValue(tower) {
+        const rate = this.isBuildPhase() ? BUILD_PHASE_SELL_REFUND_RATE : SELL_REFUND_RATE;
+        return Math.floor(tower.totalInvestment * rate);
+    }
+
+    /**
+     * Sells a tower: removes it, frees its grid cell and refunds part of its investment.
+     * @param {Tower} tower - The tower to sell.
+     * @returns {number} The gold refunded, or 0 if the tower could not be sold.
+     */
+    sellTower(tower) {
+        if (this.isEnded()) return 0;
+
+        const index = this.towers.indexOf(tower);
+        if (index === -1) return 0;
+
+        const refund = this.getSellValue(tower);
+        this.towers.splice(index, 1);
+        if (tower.cell) this.grid.release(tower.cell);
+        this.events.emit('towerSold', { tower, refund }); // Before dispose, so listeners still see its state
+        tower.dispose();
+        this.gold += refund;
+        return refund;
+    }
+
+    /**
+     * Changes a tower's targeting priority.
+     * @param {Tower} tower - The tower to change.
+     * @param {string} mode - Key in TARGETING_MODES.
+     * @returns {boolean} True if the mode was applied.
+     */
+    setTowerTargeting(tower, mode) {
+        if (this.isEnded()) return false;
+        return tower.setTargeting(mode);
+    }
+
+    /**
+     * Returns the tower standing in the grid cell under a position.
+     * @param {{x: number, z: number}} position
+     * @returns {Tower|null}
+     */
+    getTowerAt(position) {
+        return this.grid.getOccupant(position) || null;
+    }
+
+    /**
+     * Applies a player command and, if it changed the game, appends it to the command log.
+     * All player input goes through here so a run can be replayed from its log.
+     *
+     * Commands (towers are addressed by a position in their cell):
+     *   { type: 'BUILD', towerType, x, z }
+     *   { type: 'UPGRADE', x, z, specialization? }
+     *   { type: 'SELL', x, z }
+     *   { type: 'SET_TARGETING', x, z, mode }
+     *   { type: 'START_WAVE' }
+     *   { type: 'SET_AUTO_START', enabled }
+     *
+     * @param {object} command
+     * @returns {*} The result of the underlying action (see buildTower, upgradeTower, sellTower,
+     *     setTowerTargeting, startNextWave and setAutoStart), or null for an unknown command.
+     */
+    execute(command) {
+        const tower = command.x !== undefined && command.type !== 'BUILD' ? this.getTowerAt(command) : null;
+        let result;
+        let applied;
+        let logged = command;
+        switch (command.type) {
+            case 'BUILD':
+                result = this.buildTower(command, command.towerType);
+                applied = result.tower !== null;
+                if (applied) logged = { ...command, x: result.tower.position.x, z: result.tower.position.z }; // Log the snapped cell centre
+                break;
+            case 'UPGRADE':
+                result = tower ? this.upgradeTower(tower, command.specialization) : false;
+                applied = result;
+                break;
+            case 'SELL':
+                result = tower ? this.sellTower(tower) : 0;
+                applied = result > 0;
+                break;
+            case 'SET_TARGETING':
+                result = tower ? this.setTowerTargeting(tower, command.mode) : false;
+                applied = result;
+                break;
+            case 'START_WAVE':
+                result = this.startNextWave();
+                applied = result;
+                break;
+            case 'SET_AUTO_START':
+                result = this.setAutoStart(command.enabled);
+                applied = result;
+                break;
+            default:
+                return null; // Unknown command
+        }
+        if (applied) this.commandLog.push({ tick: this.tickCount, ...logged });
+        return result;
+    }
+
+    /**
+     * Captures the full game state: resources, status, towers, enemies,
+     * projectiles in flight, the wave spawn queue and statistics.
+     * @returns {object} Plain JSON-safe data; see GameSession.restore.
+     */
+    serialize() {
+        return {
+            gold: this.gold,
+            lives: this.lives,
+            currentWaveNumber: this.currentWaveNumber,
+            gameStatus: this.gameStatus,
+            seed: this.seed,
+            rngState: this.rng.state,
+            endless: this.endless,
+            autoStart: this.autoStart,
+            tickCount: this.tickCount,
+            commandLog: this.commandLog.map(command => ({ ...command })),
+            towers: this.towers.map(tower => tower.serialize()),
+            enemies: this.enemies.map(enemy => enemy.serialize(tower => this.towers.indexOf(tower))),
+            projectiles: this.projectiles.map(projectile => projectile.serialize(
+                enemy => this.enemies.indexOf(enemy),
+                tower => this.towers.indexOf(tower)
+            )),
+            waves: this.waveManager.serialize(),
+            stats: this.stats.serialize(tower => this.towers.indexOf(tower))
+        };
+    }
+
+    /**
+     * Rebuilds a session from GameSession#serialize output.
+     * @param {object} level - The level the state was saved on (see LevelLoader.js).
+     * @param {object} state - Serialized session.
+     * @returns {GameSession}
+     * @throws {Error} If the state references towers, enemies or routes the game does not know.
+     */
+    static restore(level, state) {
+        const session = new GameSession(level, { seed: state.seed, endless: state.endless });
+        session.rng.state = state.rngState;
+        session.gold = state.gold;
+        session.lives = state.lives;
+        session.currentWaveNumber = state.currentWaveNumber;
+        session.gameStatus = state.gameStatus;
+        session.autoStart = state.autoStart;
+        session.tickCount = state.tickCount;
+        session.commandLog = state.commandLog.map(command => ({ ...command }));
+
+        for (const towerData of state.towers) {
+            session.addTower(Tower.deserialize(towerData, session.projectiles));
+        }
+        for (const enemyData of state.enemies) {
+            const enemy = Enemy.deserialize(enemyData, session.routes, level.enemyTypes, index => session.towers[index]);
+            enemy.events = session.events;
+            enemy.waveNumber = enemy.waveNumber || session.currentWaveNumber; // Older saves do not record it
+            session.enemies.push(enemy);
+        }
+        for (const projectileData of state.projectiles) {
+            session.projectiles.push(Projectile.deserialize(projectileData,
+                index => session.enemies[index], index => session.towers[index]));
+        }
+        session.waveManager.restore(state.waves);
+        session.stats.restore(state.stats, session.towers, session.currentWaveNumber); // Older saves have no stats
+        return session;
+    }
+
+    /**
+     * Advances the simulation by one step.
+     * @param {number} deltaTime - Time to simulate in seconds.
+     * @returns {string} The game status after the step.
+     */
+    step(deltaTime) {
+        if (this.isEnded()) {
+            return this.gameStatus; // Stop updates if game has ended
+        }
+        this.tickCount++;
+
+        // 1. Update Wave Manager (spawns enemies)
+        if (this.waveManager.update(deltaTime)) {
+            this.gameStatus = 'WAVE_COMPLETE';
+            this.events.emit('waveCompleted', { waveNumber: this.currentWaveNumber });
+        }
+        if (this.autoStart && (this.waveManager.isNextWaveDue()
+            || (this.gameStatus === 'WAVE_COMPLETE' && !this.waveManager.hasNextWave()))) {
+            this.startNextWave(); // Also ends the game once the last wave is cleared
+            if (this.isEnded()) return this.gameStatus;
+        }
+
+        // 2. Update Towers
+        this.enemyIndex.rebuild(this.enemies);
+        for (const tower of this.towers) {
+            tower.update(deltaTime, this.enemyIndex);
+        }
+
+        // 3. Update Projectiles (iterate backwards for safe removal)
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            const status = projectile.update(deltaTime, this.enemyIndex);
+
+            if (status !== PROJECTILE_STATUS.MOVING) { // Hit, lost its target or expired
+                this.events.emit('projectileSpent', { projectile, tower: projectile.tower, hit: projectile.damageDealt > 0 });
+                this.removeProjectile(i);
+            }
+        }
+
+        // 4. Update Enemies
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            enemy.update(deltaTime, this.enemies);
+
+            let removeEnemy = false;
+            if (enemy.isDead()) {
+                this.gold += enemy.value;
+                this.events.emit('enemyKilled', { enemy, gold: enemy.value, tower: enemy.lastDamagedBy });
+                this.waveManager.spawnSplit(enemy); // Appended, so not updated until the next step
+                removeEnemy = true;
+            } else if (enemy.hasReachedEnd()) { // Any route's exit costs a life
+                this.lives = Math.max(0, this.lives - 1);
+                this.events.emit('enemyLeaked', { enemy, lives: this.lives });
+                removeEnemy = true;
+
+                if (this.lives <= 0) {
+                    this.endGame('GAME_OVER');
+                    return this.gameStatus; // Exit loop immediately on game over
+                }
+            }
+
+            if (removeEnemy) {
+                this.removeEnemy(i);
+            }
+        }
+
+        return this.gameStatus;
+    }
+
+    /**
+     * Takes an enemy out of play and returns it to enemyPool. Projectiles and
+     * towers drop their references to it first, since the pool may hand the
+     * same object out again as a new enemy.
+     * @param {number} index - Index in this.enemies.
+     */
+    removeEnemy(index) {
+        const [enemy] = this.enemies.splice(index, 1);
+        for (const projectile of this.projectiles) {
+            projectile.forgetEnemy(enemy);
+        }
+        for (const tower of this.towers) {
+            if (tower.currentTarget === enemy) tower.currentTarget = null;
+        }
+        enemy.dispose();
+        enemyPool.release(enemy);
+    }
+
+    /**
+     * Takes a projectile out of play and returns it to projectilePool.
+     * @param {number} index - Index in this.projectiles.
+     */
+    removeProjectile(index) {
+        const [projectile] = this.projectiles.splice(index, 1);
+        projectile.dispose();
+        projectilePool.release(projectile);
+    }
+
+    /**
+     * Returns all enemies and projectiles to their pools and drops every event
+     * listener. Call when the session is replaced; it must not be stepped afterwards.
+     */
+    dispose() {
+        this.events.clear();
+        while (this.projectiles.length > 0) this.removeProjectile(this.projectiles.length - 1);
+        while (this.enemies.length > 0) this.removeEnemy(this.enemies.length - 1);
+    }
+}
@@ -0,0 +1,178 @@
+// js/GameStats.js
+
+/**
+ * Per-tower and per-wave statistics for the end-of-game report, collected
+ * from a session's events (see GAME_EVENTS). Every tower built keeps its
+ * record after it is sold, so the report covers the whole game.
+ *
+ * Tower record: { type, name, x, z, builtOnWave, soldOnWave, level, shotsFired,
+ * hits, damageDealt, kills, goldSpent, goldEarned, refund }. A shot is a hit
+ * if it damaged at least one enemy; kills go to the tower that last damaged
+ * the enemy and goldEarned is the bounty for those kills.
+ *
+ * Wave record: { wave, spawned, killed, leaked }. Enemies count towards the
+ * wave that spawned them (split-offs towards their parent's), so overlapping
+ * waves are kept apart.
+ */
+export class GameStats {
+    /**
+     * @param {EventBus} events - The session's event bus.
+     */
+    constructor(events) {
+        this.towers = []; // Tower records in build order
+        this.recordOf = new Map(); // Tower -> its record
+        this.waves = []; // Wave records, index = wave number - 1
+        this.currentWave = 0;
+
+        events.on('towerBuilt', ({ tower, cost }) => {
+            const record = this.addTower(tower, this.currentWave);
+            record.goldSpent = cost;
+        });
+        events.on('towerUpgraded', ({ tower, level, cost }) => {
+            const record = this.recordOf.get(tower);
+            if (!record) return;
+            record.level = level;
+            record.goldSpent += cost;
+        });
+        events.on('towerSold', ({ tower, refund }) => {
+            const record = this.recordOf.get(tower);
+            if (!record) return;
+            record.soldOnWave = this.currentWave;
+            record.refund = refund; // The record stays linked, so shots still in flight count
+        });
+        events.on('projectileFired', ({ tower }) => {
+            const record = this.recordOf.get(tower);
+            if (record) record.shotsFired++;
+        });
+        events.on('projectileSpent', ({ tower, hit }) => {
+            const record = this.recordOf.get(tower);
+            if (record && hit) record.hits++;
+        });
+        events.on('damageDealt', ({ tower, amount }) => {
+            const record = this.recordOf.get(tower);
+            if (record) record.damageDealt += amount;
+        });
+        events.on('enemyKilled', ({ enemy, gold, tower }) => {
+            const record = this.recordOf.get(tower);
+            if (record) {
+                record.kills++;
+                record.goldEarned += gold;
+            }
+            this.getWave(enemy.waveNumber).killed++;
+        });
+        events.on('enemySpawned', ({ enemy }) => {
+            this.getWave(enemy.waveNumber).spawned++;
+        });
+        events.on('enemyLeaked', ({ enemy }) => {
+            this.getWave(enemy.waveNumber).leaked++;
+        });
+        events.on('waveStarted', ({ waveNumber }) => {
+            this.currentWave = waveNumber;
+            this.getWave(waveNumber);
+        });
+    }
+
+    /**
+     * Starts a record for a tower in play.
+     * @param {Tower} tower
+     * @param {number|null} builtOnWave - Latest wave started when it was built (0 = before the first).
+     * @returns {object} The tower record.
+     */
+    addTower(tower, builtOnWave) {
+        const record = {
+            type: tower.type,
+            name: tower.name,
+            x: tower.position.x,
+            z: tower.position.z,
+            builtOnWave,
+            soldOnWave: null,
+            level: tower.level,
+            shotsFired: 0,
+            hits: 0,
+            damageDealt: 0,
+            kills: 0,
+            goldSpent: tower.totalInvestment,
+            goldEarned: 0,
+            refund: 0
+        };
+        this.towers.push(record);
+        this.recordOf.set(tower, record);
+        return record;
+    }
+
+    /**
+     * Returns the record of a wave, creating it (and any before it) if needed.
+     * @param {number} waveNumber - 1-based wave number.
+     * @returns {object}
+     */
+    getWave(waveNumber) {
+        const number = Math.max(1, waveNumber || 0);
+        for (let wave = this.waves.length + 1; wave <= number; wave++) {
+            this.waves.push({ wave, spawned: 0, killed: 0, leaked: 0 });
+        }
+        return this.waves[number - 1];
+    }
+
+    /**
+     * Summarizes the game so far, with each tower's accuracy worked out.
+     * @returns {{towers: object[], waves: object[], totals: object}} Plain JSON-safe data.
+     */
+    getReport() {
+        const towers = this.towers.map(record => ({
+            ...record,
+            accuracy: record.shotsFired > 0 ? record.hits / record.shotsFired : null // null for support towers
+        }));
+        const sum = (records, field) => records.reduce((total, record) => total + record[field], 0);
+        return {
+            towers,
+            waves: this.waves.map(wave => ({ ...wave })),
+            totals: {
+                damageDealt: sum(towers, 'damageDealt'),
+                kills: sum(this.waves, 'killed'),
+                leaks: sum(this.waves, 'leaked'),
+                goldSpent: sum(towers, 'goldSpent'),
+                goldEarned: sum(towers, 'goldEarned')
+            }
+        };
+    }
+
+    /**
+     * Captures the records for a save file. Towers still in play are saved as
+     * indexes into the session's tower list.
+     * @param {function(Tower): number} indexOfTower - Returns a tower's index in play.
+     * @returns {object} Plain JSON-safe data; see GameStats#restore.
+     */
+    serialize(indexOfTower) {
+        const towerOf = new Map([...this.recordOf].map(([tower, record]) => [record, tower]));
+        return {
+            currentWave: this.currentWave,
+            towers: this.towers.map(record => ({
+                ...record,
+                tower: towerOf.has(record) ? indexOfTower(towerOf.get(record)) : -1
+            })),
+            waves: this.waves.map(wave => ({ ...wave }))
+        };
+    }
+
+    /**
+     * Restores records from GameStats#serialize output. Towers in play without
+     * a record (saves from before statistics) get a fresh one.
+     * @param {object|undefined} data - Serialized statistics, if the save has any.
+     * @param {Tower[]} towers - The restored towers in play.
+     * @param {number} currentWave - The restored session's wave number.
+     */
+    restore(data, towers, currentWave) {
+        this.currentWave = data ? data.currentWave : currentWave;
+        if (data) {
+            for (const { tower: index, ...saved } of data.towers) {
+                const record = { ...saved };
+                this.towers.push(record);
+                if (towers[index]) this.recordOf.set(towers[index], record);
+            }
+            this.waves = data.waves.map(wave => ({ ...wave }));
+        }
+        for (const tower of towers) {
+            if (!this.recordOf.has(tower)) this.addTower(tower, null);
+        }
+    }
+}
@@ -0,0 +1,570 @@
+// js/GameView.js
+import * as THREE from 'three';
+import { DAMAGE_TYPES, DEFAULT_DAMAGE_TYPE } from './Damage.js';
+import { TOWER_TYPES } from './TowerTypes.js';
+
+// Placement ghost and range rings
+const GHOST_VALID_COLOR = 0x30ff30;
+const GHOST_INVALID_COLOR = 0xff3030;
+const GHOST_OPACITY = 0.45;
+const RANGE_COLOR = 0xffffff;
+const NEXT_RANGE_COLOR = 0x40e0ff;
+const RANGE_RING_SEGMENTS = 64;
+const RANGE_RING_HEIGHT = 0.05; // Just above the ground, so the ring isn't hidden by it
+
+// Health and shield bars, in world units; bars float this far above an enemy's top
+const HEALTH_BAR_WIDTH = 0.8;
+const HEALTH_BAR_HEIGHT = 0.08;
+const HEALTH_BAR_GAP = 0.25;
+const HEALTH_BAR_BACKGROUND = 0x202020;
+const SHIELD_BAR_COLOR = 0x40a0ff;
+// Fill color by the share of health left, checked in order
+const HEALTH_BAR_COLORS = [
+    { above: 0.5, color: 0x30d030 },
+    { above: 0.25, color: 0xe0c020 },
+    { above: 0, color: 0xe03030 }
+];
+
+// Floating damage numbers: seconds on screen, how far they rise, and how many
+// can show at once (the oldest is reused beyond that)
+const DAMAGE_NUMBER_LIFETIME = 0.8;
+const DAMAGE_NUMBER_RISE = 0.8;
+const MAX_DAMAGE_NUMBERS = 50;
+const DAMAGE_NUMBER_HEIGHT = 0.35; // World units; the label is twice as wide
+
+/**
+ * Creates a visual representation of a path using THREE.Line.
+ * @param {Path} path - The path to draw.
+ * @returns {THREE.Line} The line object representing the path.
+ */
+export function createPathVisual(path) {
+    const points = path.getWaypoints().map(p => new THREE.Vector3(p.x, p.y, p.z));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: 0xffff00 }); // Yellow color
+    const line = new THREE.Line(geometry, material);
+    return line;
+}
+
+/**
+ * Mirrors a GameSession into a THREE scene.
+ * Meshes are created when entities appear in the session, follow their
+ * positions every frame, and are removed once the entities leave play.
+ * Removed meshes are kept for reuse, and geometries and materials are shared
+ * between all meshes of the same shape and color, so the number of GPU
+ * resources stays flat however long the game runs.
+ *
+ * Enemies get billboarded health bars (and shield bars) and hits show
+ * floating damage numbers; both can be switched off and are pooled the same way.
+ * While placing a tower, a translucent ghost and its range ring follow the
+ * pointer; a selected tower shows its range and the range after its next upgrade.
+ */
+export class GameView {
+    /**
+     * @param {THREE.Scene} scene - The scene to add entity meshes to.
+     * @param {GameSession} session - The session to render.
+     * @param {object} [options]
+     * @param {boolean} [options.healthBars=true] - Show health and shield bars over enemies.
+     * @param {boolean} [options.damageNumbers=true] - Show floating numbers when hits land.
+     */
+    constructor(scene, session, options = {}) {
+        this.scene = scene;
+        this.session = session;
+        this.showHealthBars = options.healthBars !== false;
+        this.showDamageNumbers = options.damageNumbers !== false;
+
+        this.towerMeshes = new Map();
+        this.enemyMeshes = new Map();
+        this.projectileMeshes = new Map();
+        this.healthBars = new Map(); // Enemy -> its bar group
+
+        this.freeMeshes = []; // Meshes removed from the scene, ready for reuse
+        this.freeHealthBars = []; // Bar groups ready for reuse
+        this.damageNumbers = []; // On screen, oldest first: { sprite, age }
+        this.freeDamageNumbers = []; // Sprites ready for reuse, each with its own canvas texture
+        this.geometries = new Map(); // Shared geometries, keyed by shape and dimensions
+        this.materials = new Map(); // Shared materials, keyed by kind and color
+
+        this.placement = null; // { typeId, position, valid } while a tower is being placed
+        this.selectedTower = null;
+        this.ghost = null; // Created on first use
+        this.rangeRings = []; // Created as needed; unused ones are hidden
+
+        this.unsubscribe = this.listenTo(session);
+    }
+
+    /**
+     * Switches to rendering another session, e.g. after loading a save.
+     * Meshes of the old session are removed; new ones appear on the next sync.
+     * @param {GameSession} session - The session to render.
+     */
+    setSession(session) {
+        for (const meshes of [this.towerMeshes, this.enemyMeshes, this.projectileMeshes]) {
+            for (const mesh of meshes.values()) this.releaseMesh(mesh);
+            meshes.clear();
+        }
+        this.clearHealthBars();
+        this.clearDamageNumbers();
+        this.placement = null;
+        this.selectedTower = null;
+        this.unsubscribe();
+        this.session = session;
+        this.unsubscribe = this.listenTo(session);
+    }
+
+    /**
+     * Subscribes to the session events the view shows.
+     * @param {GameSession} session
+     * @returns {function(): void} Unsubscribes again.
+     */
+    listenTo(session) {
+        return session.events.on('damageDealt', ({ enemy, amount, damageType }) => {
+            if (this.showDamageNumbers) this.addDamageNumber(enemy, amount, damageType);
+        });
+    }
+
+    /**
+     * Shows or hides the health and shield bars over enemies.
+     * @param {boolean} visible
+     */
+    setHealthBarsVisible(visible) {
+        this.showHealthBars = !!visible;
+        if (!this.showHealthBars) this.clearHealthBars();
+    }
+
+    /**
+     * Turns floating damage numbers on or off; numbers on screen are removed when turned off.
+     * @param {boolean} visible
+     */
+    setDamageNumbersVisible(visible) {
+        this.showDamageNumbers = !!visible;
+        if (!this.showDamageNumbers) this.clearDamageNumbers();
+    }
+
+    /**
+     * Shows a ghost of the tower being placed, with its range ring.
+     * @param {{typeId: string, position: {x: number, y: number, z: number}, valid: boolean}|null} placement -
+     *     Tower type, snapped position and whether it can be built there; null hides the ghost.
+     */
+    setPlacementPreview(placement) {
+        this.placement = placement;
+    }
+
+    /**
+     * Shows the range of a tower in play, and its range after the next upgrade.
+     * @param {Tower|null} tower - null hides the rings.
+     */
+    setSelectedTower(tower) {
+        this.selectedTower = tower;
+    }
+
+    /**
+     * Brings the scene in line with the current session state.
+     * @param {number} [alpha=1] - Progress from the previous simulation tick to the
+     *     current one (see GameLoop#getInterpolationAlpha); moving entities are drawn in between.
+     * @param {number} [frameTime=0] - Real seconds since the last sync, for damage number animation.
+     */
+    sync(alpha = 1, frameTime = 0) {
+        this.syncGroup(this.session.towers, this.towerMeshes, (mesh, tower) => this.configureTowerMesh(mesh, tower), alpha);
+        this.syncGroup(this.session.enemies, this.enemyMeshes, (mesh, enemy) => this.configureEnemyMesh(mesh, enemy), alpha);
+        this.syncGroup(this.session.projectiles, this.projectileMeshes, (mesh, projectile) => this.configureProjectileMesh(mesh, projectile), alpha);
+        if (this.showHealthBars) this.syncHealthBars();
+        this.updateDamageNumbers(frameTime);
+        this.syncPlacement();
+    }
+
+    /**
+     * Adds meshes for new entities, updates positions and removes meshes of entities that are gone.
+     * A pooled entity handed out again since the last sync counts as a new entity.
+     * @param {object[]} entities - The entities currently in play.
+     * @param {Map<object, THREE.Mesh>} meshes - Meshes keyed by entity.
+     * @param {function(THREE.Mesh, object)} configureMesh - Sets up a mesh for a new entity.
+     * @param {number} alpha - Interpolation factor between previousPosition and position.
+     */
+    syncGroup(entities, meshes, configureMesh, alpha) {
+        const live = new Set(entities);
+        for (const [entity, mesh] of meshes) {
+            if (!live.has(entity) || mesh.userData.poolGeneration !== entity.poolGeneration) {
+                this.releaseMesh(mesh);
+                meshes.delete(entity);
+            }
+        }
+
+        for (const entity of entities) {
+            let mesh = meshes.get(entity);
+            if (!mesh) {
+                mesh = this.acquireMesh();
+                configureMesh(mesh, entity);
+                mesh.userData.poolGeneration = entity.poolGeneration;
+                meshes.set(entity, mesh);
+            }
+            if (entity.previousPosition) {
+                mesh.position.lerpVectors(entity.previousPosition, entity.position, alpha);
+            } else {
+                mesh.position.copy(entity.position); // Static entities (towers)
+            }
+            if (mesh.userData.offsetY) mesh.position.y += mesh.userData.offsetY;
+        }
+    }
+
+    configureTowerMesh(mesh, tower) {
+        mesh.geometry = this.getTowerGeometry(tower);
+        mesh.material = this.getMaterial(`standard:${tower.color}`, () => new THREE.MeshStandardMaterial({ color: tower.color }));
+        mesh.userData.offsetY = tower.size.height / 2; // Adjust Y so the base is at the tower position
+        mesh.userData.towerInstance = tower; // Link mesh back to the tower for clicks
+    }
+
+    /**
+     * Returns the shared geometry for a tower shape.
+     * @param {{shape: string, size: {width: number, height: number, depth: number}}} tower - A Tower or TOWER_TYPES entry.
+     * @returns {THREE.BufferGeometry}
+     */
+    getTowerGeometry({ shape, size }) {
+        const { width, height, depth } = size;
+        return shape === 'cylinder'
+            ? this.getGeometry(`cylinder:${width}:${height}`, () => new THREE.CylinderGeometry(width / 2, width / 2, height, 16))
+            : this.getGeometry(`box:${width}:${height}:${depth}`, () => new THREE.BoxGeometry(width, height, depth));
+    }
+
+    configureEnemyMesh(mesh, enemy) {
+        // One unit sphere for every enemy, scaled to its size
+        mesh.geometry = this.getGeometry('sphere:16', () => new THREE.SphereGeometry(1, 16, 16));
+        mesh.material = this.getMaterial(`standard:${enemy.color}`, () => new THREE.MeshStandardMaterial({ color: enemy.color }));
+        mesh.scale.setScalar(enemy.size);
+    }
+
+    configureProjectileMesh(mesh, projectile) {
+        // Use basic material for visibility without lighting
+        mesh.geometry = this.getGeometry('sphere:8', () => new THREE.SphereGeometry(1, 8, 8));
+        mesh.material = this.getMaterial(`basic:${projectile.color}`, () => new THREE.MeshBasicMaterial({ color: projectile.color }));
+        mesh.scale.setScalar(projectile.size);
+    }
+
+    /**
+     * Adds, moves and fills a bar group over every enemy mesh, and releases the
+     * bars of enemies that are gone. Run after the enemy meshes are synced.
+     */
+    syncHealthBars() {
+        for (const [enemy, bar] of this.healthBars) {
+            const mesh = this.enemyMeshes.get(enemy);
+            if (!mesh || bar.userData.poolGeneration !== mesh.userData.poolGeneration) {
+                this.releaseHealthBar(bar);
+                this.healthBars.delete(enemy);
+            }
+        }
+
+        for (const [enemy, mesh] of this.enemyMeshes) {
+            let bar = this.healthBars.get(enemy);
+            if (!bar) {
+                bar = this.acquireHealthBar();
+                bar.userData.poolGeneration = mesh.userData.poolGeneration;
+                this.healthBars.set(enemy, bar);
+            }
+            bar.position.copy(mesh.position);
+            bar.position.y += enemy.size + HEALTH_BAR_GAP;
+
+            const [, health, shield] = bar.children;
+            this.setBarFill(health, Math.max(0, enemy.health) / enemy.maxHealth);
+            health.material = this.getBarMaterial(healthBarColor(enemy.health / enemy.maxHealth));
+            const { shield: shieldLeft, maxShield } = enemy.getShield();
+            this.setBarFill(shield, maxShield > 0 ? shieldLeft / maxShield : 0);
+        }
+    }
+
+    /**
+     * Sizes a left-aligned bar sprite to a share of the full bar width.
+     * @param {THREE.Sprite} sprite
+     * @param {number} fraction - 0 to 1; the sprite is hidden at 0.
+     */
+    setBarFill(sprite, fraction) {
+        const fill = Math.min(1, fraction);
+        sprite.visible = fill > 0;
+        if (!sprite.visible) return;
+        sprite.scale.x = HEALTH_BAR_WIDTH * fill;
+        // Sprites are centered on their position; shift the anchor so every bar starts at the same left edge
+        sprite.center.set(0.5 / fill, 0.5);
+    }
+
+    getBarMaterial(color) {
+        return this.getMaterial(`bar:${color}`, () => new THREE.SpriteMaterial({ color, depthTest: false }));
+    }
+
+    /**
+     * Takes a bar group from the free list, or builds one, and adds it to the scene.
+     * A group holds three sprites: the background, the health fill and the shield fill above it.
+     * @returns {THREE.Group}
+     */
+    acquireHealthBar() {
+        let bar = this.freeHealthBars.pop();
+        if (!bar) {
+            bar = new THREE.Group();
+            const background = new THREE.Sprite(this.getBarMaterial(HEALTH_BAR_BACKGROUND));
+            background.scale.set(HEALTH_BAR_WIDTH, HEALTH_BAR_HEIGHT, 1);
+            const health = new THREE.Sprite();
+            health.scale.y = HEALTH_BAR_HEIGHT;
+            const shield = new THREE.Sprite(this.getBarMaterial(SHIELD_BAR_COLOR));
+            shield.scale.y = HEALTH_BAR_HEIGHT / 2;
+            shield.position.y = HEALTH_BAR_HEIGHT;
+            // Drawn in order, over the scene
+            background.renderOrder = 1;
+            health.renderOrder = 2;
+            shield.renderOrder = 2;
+            bar.add(background, health, shield);
+        }
+        this.scene.add(bar);
+        return bar;
+    }
+
+    releaseHealthBar(bar) {
+        this.scene.remove(bar);
+        bar.userData = {};
+        this.freeHealthBars.push(bar);
+    }
+
+    clearHealthBars() {
+        for (const bar of this.healthBars.values()) this.releaseHealthBar(bar);
+        this.healthBars.clear();
+    }
+
+    /**
+     * Shows a floating number over an enemy that took damage.
+     * @param {Enemy} enemy
+     * @param {number} amount - Effective damage dealt.
+     * @param {string} damageType - Key in DAMAGE_TYPES; picks the color.
+     */
+    addDamageNumber(enemy, amount, damageType) {
+        const value = Math.round(amount);
+        if (value <= 0) return;
+
+        let sprite;
+        if (this.damageNumbers.length >= MAX_DAMAGE_NUMBERS) {
+            sprite = this.damageNumbers.shift().sprite; // Reuse the oldest one on screen
+        } else {
+            sprite = this.freeDamageNumbers.pop() || createDamageNumberSprite();
+            this.scene.add(sprite);
+        }
+        const type = DAMAGE_TYPES[damageType] || DAMAGE_TYPES[DEFAULT_DAMAGE_TYPE];
+        drawDamageNumber(sprite, String(value), type.color);
+        // Spread numbers a little so simultaneous hits do not overlap exactly
+        sprite.position.set(enemy.position.x + (Math.random() - 0.5) * enemy.size, enemy.position.y + enemy.size, enemy.position.z);
+        sprite.material.opacity = 1;
+        this.damageNumbers.push({ sprite, age: 0 });
+    }
+
+    /**
+     * Floats damage numbers upwards, fades them out and releases expired ones.
+     * @param {number} frameTime - Real seconds since the last update.
+     */
+    updateDamageNumbers(frameTime) {
+        const rise = DAMAGE_NUMBER_RISE * frameTime / DAMAGE_NUMBER_LIFETIME;
+        let expired = 0;
+        for (const number of this.damageNumbers) {
+            number.age += frameTime;
+            if (number.age >= DAMAGE_NUMBER_LIFETIME) {
+                expired++; // Oldest first, so expired numbers are at the front
+                continue;
+            }
+            number.sprite.position.y += rise;
+            number.sprite.material.opacity = Math.min(1, 2 * (1 - number.age / DAMAGE_NUMBER_LIFETIME)); // Fade over the second half
+        }
+        for (const { sprite } of this.damageNumbers.splice(0, expired)) {
+            this.scene.remove(sprite);
+            this.freeDamageNumbers.push(sprite);
+        }
+    }
+
+    clearDamageNumbers() {
+        for (const { sprite } of this.damageNumbers) {
+            this.scene.remove(sprite);
+            this.freeDamageNumbers.push(sprite);
+        }
+        this.damageNumbers = [];
+    }
+
+    /**
+     * Moves the placement ghost and lays out the range rings for the
+     * current placement preview and selected tower.
+     */
+    syncPlacement() {
+        const rings = [];
+        const { placement } = this;
+        const type = placement && TOWER_TYPES[placement.typeId];
+        if (type) {
+            if (!this.ghost) {
+                this.ghost = new THREE.Mesh();
+                this.scene.add(this.ghost);
+            }
+            const color = placement.valid ? GHOST_VALID_COLOR : GHOST_INVALID_COLOR;
+            this.ghost.geometry = this.getTowerGeometry(type);
+            this.ghost.material = this.getMaterial(`ghost:${color}`, () => new THREE.MeshBasicMaterial({
+                color, transparent: true, opacity: GHOST_OPACITY, depthWrite: false
+            }));
+            this.ghost.position.set(placement.position.x, placement.position.y + type.size.height / 2, placement.position.z);
+            rings.push({ position: placement.position, radius: type.range, color });
+        }
+        if (this.ghost) this.ghost.visible = !!type;
+
+        const tower = this.selectedTower;
+        if (tower && this.towerMeshes.has(tower)) { // Sold towers lose their rings
+            rings.push({ position: tower.position, radius: tower.range, color: RANGE_COLOR });
+            for (const radius of getNextRanges(tower)) {
+                rings.push({ position: tower.position, radius, color: NEXT_RANGE_COLOR });
+            }
+        }
+
+        rings.forEach((ring, index) => {
+            let line = this.rangeRings[index];
+            if (!line) {
+                line = new THREE.LineLoop(this.getGeometry(`circle:${RANGE_RING_SEGMENTS}`, createUnitCircle));
+                this.scene.add(line);
+                this.rangeRings.push(line);
+            }
+            line.material = this.getMaterial(`line:${ring.color}`, () => new THREE.LineBasicMaterial({ color: ring.color }));
+            line.position.set(ring.position.x, ring.position.y + RANGE_RING_HEIGHT, ring.position.z);
+            line.scale.set(ring.radius, 1, ring.radius);
+            line.visible = true;
+        });
+        for (let index = rings.length; index < this.rangeRings.length; index++) {
+            this.rangeRings[index].visible = false;
+        }
+    }
+
+    /**
+     * Returns the shared geometry for a key, building it on first use.
+     * @param {string} key - Shape and dimensions, e.g. 'box:1:2:1'.
+     * @param {function(): THREE.BufferGeometry} create
+     * @returns {THREE.BufferGeometry}
+     */
+    getGeometry(key, create) {
+        let geometry = this.geometries.get(key);
+        if (!geometry) {
+            geometry = create();
+            this.geometries.set(key, geometry);
+        }
+        return geometry;
+    }
+
+    /**
+     * Returns the shared material for a key, building it on first use.
+     * @param {string} key - Kind and color, e.g. 'standard:16711680'.
+     * @param {function(): THREE.Material} create
+     * @returns {THREE.Material}
+     */
+    getMaterial(key, create) {
+        let material = this.materials.get(key);
+        if (!material) {
+            material = create();
+            this.materials.set(key, material);
+        }
+        return material;
+    }
+
+    /**
+     * Takes a mesh from the free list, or makes one, and adds it to the scene.
+     * The caller sets its geometry and material.
+     * @returns {THREE.Mesh}
+     */
+    acquireMesh() {
+        const mesh = this.freeMeshes.pop() || new THREE.Mesh();
+        mesh.scale.set(1, 1, 1);
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Removes a mesh from the scene and keeps it for reuse. Its geometry and
+     * material are shared, so they stay alive.
+     * @param {THREE.Mesh} mesh
+     */
+    releaseMesh(mesh) {
+        this.scene.remove(mesh);
+        mesh.userData = {};
+        this.freeMeshes.push(mesh);
+    }
+
+    /**
+     * Counts meshes, bars, damage numbers and shared GPU resources, e.g. to check memory stays flat.
+     * @returns {{live: number, pooled: number, healthBars: {live: number, pooled: number},
+     *     damageNumbers: {live: number, pooled: number}, geometries: number, materials: number}}
+     */
+    getMeshStats() {
+        return {
+            live: this.towerMeshes.size + this.enemyMeshes.size + this.projectileMeshes.size,
+            pooled: this.freeMeshes.length,
+            healthBars: { live: this.healthBars.size, pooled: this.freeHealthBars.length },
+            damageNumbers: { live: this.damageNumbers.length, pooled: this.freeDamageNumbers.length },
+            geometries: this.geometries.size,
+            materials: this.materials.size
+        };
+    }
+
+    /**
+     * Returns the meshes of all towers, e.g. for raycasting.
+     * @returns {THREE.Mesh[]}
+     */
+    getTowerMeshes() {
+        return Array.from(this.towerMeshes.values());
+    }
+}
+
+/**
+ * Lists the ranges a tower could have after its next upgrade, one per
+ * specialization when that upgrade is the choice, leaving out unchanged ranges.
+ * @param {Tower} tower
+ * @returns {number[]}
+ */
+function getNextRanges(tower) {
+    const options = tower.needsSpecialization() ? Object.keys(tower.upgradeTree.specializations) : [undefined];
+    const ranges = new Set();
+    for (const specializationId of options) {
+        const preview = tower.previewUpgrade(specializationId);
+        const change = preview && preview.changes.find(({ stat }) => stat === 'range');
+        if (change) ranges.add(change.to);
+    }
+    return [...ranges];
+}
+
+// A circle of radius 1 in the ground plane, scaled to each range
+function createUnitCircle() {
+    const points = [];
+    for (let i = 0; i < RANGE_RING_SEGMENTS; i++) {
+        const angle = (i / RANGE_RING_SEGMENTS) * Math.PI * 2;
+        points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+    }
+    return new THREE.BufferGeometry().setFromPoints(points);
+}
+
+function healthBarColor(fraction) {
+    const step = HEALTH_BAR_COLORS.find(({ above }) => fraction > above);
+    return (step || HEALTH_BAR_COLORS[HEALTH_BAR_COLORS.length - 1]).color;
+}
+
+/**
+ * Builds a sprite for damage numbers with its own small canvas to draw the text on.
+ * @returns {THREE.Sprite}
+ */
+function createDamageNumberSprite() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 32;
+    const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true, depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(DAMAGE_NUMBER_HEIGHT * 2, DAMAGE_NUMBER_HEIGHT, 1);
+    sprite.renderOrder = 3; // Over health bars
+    sprite.userData.canvas = canvas;
+    return sprite;
+}
+
+function drawDamageNumber(sprite, text, color) {
+    const { canvas } = sprite.userData;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 24px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 4;
+    context.strokeStyle = '#000000';
+    context.strokeText(text, canvas.width / 2, canvas.height / 2);
+    context.fillStyle = color;
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    sprite.material.map.needsUpdate = true;
+}
@@ -0,0 +1,31 @@
+// js/Geometry.js
+
+/**
+ * Distance from a point to the segment a-b, measured on the ground (XZ) plane.
+ * @param {{x: number, z: number}} point
+ * @param {{x: number, z: number}} a - Segment start.
+ * @param {{x: number, z: number}} b - Segment end.
+ * @returns {number}
+ */
+export function distanceToSegmentXZ(point, a, b) {
+    const abx = b.x - a.x;
+    const abz = b.z - a.z;
+    const lengthSq = abx * abx + abz * abz;
+    let t = lengthSq > 0 ? ((point.x - a.x) * abx + (point.z - a.z) * abz) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const dx = point.x - (a.x + abx * t);
+    const dz = point.z - (a.z + abz * t);
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Distance between two points on the ground (XZ) plane, ignoring height.
+ * @param {{x: number, z: number}} a
+ * @param {{x: number, z: number}} b
+ * @returns {number}
+ */
+export function distanceXZ(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
@@ -0,0 +1,216 @@
+// js/InputMap.js
+
+/**
+ * Registry of actions the keyboard can trigger, keyed by action id, with a
+ * label for the shortcut list and the default key as a KeyboardEvent.code
+ * (the physical key, so bindings work the same on every keyboard layout).
+ * The shortcut list in the UI is generated from this object in registry order.
+ */
+export const INPUT_ACTIONS = {
+    'build': { label: 'Build (press again for the next tower)', defaultKey: 'KeyB' },
+    'cancel': { label: 'Cancel build / deselect', defaultKey: 'Escape' },
+    'upgrade': { label: 'Upgrade selected tower', defaultKey: 'KeyU' },
+    'sell': { label: 'Sell selected tower', defaultKey: 'KeyS' },
+    'cycleTowers': { label: 'Select next tower', defaultKey: 'Tab' },
+    'startWave': { label: 'Start next wave', defaultKey: 'Space' },
+    'pause': { label: 'Pause / resume', defaultKey: 'KeyP' },
+    'rotateLeft': { label: 'Rotate camera left', defaultKey: 'KeyQ' },
+    'rotateRight': { label: 'Rotate camera right', defaultKey: 'KeyE' },
+    'resetView': { label: 'Reset view', defaultKey: 'Home' }
+};
+
+// While waiting for a new binding, this key cancels instead of being bound
+const CANCEL_CAPTURE_KEY = 'Escape';
+
+/**
+ * Turns a KeyboardEvent.code into a short name for hints, e.g. 'KeyB' -> 'B'.
+ * @param {string|null} code
+ * @returns {string}
+ */
+export function formatKey(code) {
+    if (!code) return '—';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code === 'Escape') return 'Esc';
+    return code;
+}
+
+/**
+ * Maps keys to INPUT_ACTIONS and calls the handlers subscribed to each action.
+ * Every action has at most one key and every key triggers at most one action.
+ * Key presses are ignored while typing in a form field or holding Ctrl, Alt or
+ * Meta, so browser shortcuts keep working.
+ */
+export class InputMap {
+    /**
+     * @param {object} [bindings] - Key per action id, e.g. from InputMap#serialize.
+     *     Missing actions get their default key; unknown actions and keys already taken are skipped.
+     */
+    constructor(bindings = {}) {
+        this.keys = {}; // Action id -> KeyboardEvent.code, or null if unbound
+        this.handlers = new Map(); // Action id -> [{ onPress, onRelease }]
+        this.heldActions = new Set();
+        this.capture = null; // function(code|null) waiting for the next key press, see InputMap#captureKey
+
+        for (const [action, { defaultKey }] of Object.entries(INPUT_ACTIONS)) {
+            this.keys[action] = defaultKey;
+        }
+        for (const [action, code] of Object.entries(bindings)) {
+            if (!INPUT_ACTIONS[action]) {
+                console.warn(`Ignoring binding for unknown input action: ${action}`);
+                continue;
+            }
+            if (typeof code === 'string' || code === null) this.setKey(action, code);
+        }
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.releaseAll = this.releaseAll.bind(this);
+    }
+
+    /**
+     * Starts listening for keys.
+     * @param {EventTarget} target - Usually window.
+     */
+    attach(target) {
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+        target.addEventListener('blur', this.releaseAll); // Keys released while the window is unfocused never report keyup
+    }
+
+    detach(target) {
+        target.removeEventListener('keydown', this.onKeyDown);
+        target.removeEventListener('keyup', this.onKeyUp);
+        target.removeEventListener('blur', this.releaseAll);
+        this.releaseAll();
+    }
+
+    /**
+     * Subscribes to an action.
+     * @param {string} action - Key in INPUT_ACTIONS.
+     * @param {function(): void} onPress - Called when the key goes down (not on auto-repeat).
+     * @param {function(): void} [onRelease] - Called when the key comes back up, for held actions.
+     * @returns {function(): void} Unsubscribes.
+     * @throws {Error} If the action is unknown.
+     */
+    on(action, onPress, onRelease = null) {
+        checkAction(action);
+        const entry = { onPress, onRelease };
+        this.handlers.set(action, [...(this.handlers.get(action) || []), entry]);
+        return () => this.handlers.set(action, this.handlers.get(action).filter(existing => existing !== entry));
+    }
+
+    /**
+     * Returns the key bound to an action.
+     * @param {string} action - Key in INPUT_ACTIONS.
+     * @returns {string|null} A KeyboardEvent.code, or null if unbound.
+     */
+    getKey(action) {
+        checkAction(action);
+        return this.keys[action];
+    }
+
+    /**
+     * Binds a key to an action. An action that had the key loses it.
+     * @param {string} action - Key in INPUT_ACTIONS.
+     * @param {string|null} code - A KeyboardEvent.code, or null to unbind.
+     * @returns {string|null} The action that lost the key, if any.
+     */
+    setKey(action, code) {
+        checkAction(action);
+        const previous = code ? this.getAction(code) : null;
+        if (previous === action) return null;
+        if (previous) this.keys[previous] = null;
+        this.releaseAll(); // A held action must not miss its release because its key moved
+        this.keys[action] = code;
+        return previous;
+    }
+
+    /**
+     * Returns the action bound to a key.
+     * @param {string} code - A KeyboardEvent.code.
+     * @returns {string|null}
+     */
+    getAction(code) {
+        return Object.keys(this.keys).find(action => this.keys[action] === code) || null;
+    }
+
+    /**
+     * Puts every action back on its default key.
+     */
+    resetToDefaults() {
+        this.releaseAll();
+        for (const [action, { defaultKey }] of Object.entries(INPUT_ACTIONS)) {
+            this.keys[action] = defaultKey;
+        }
+    }
+
+    /**
+     * Hands the next key press to a callback instead of triggering an action,
+     * for rebinding. CANCEL_CAPTURE_KEY cancels and passes null.
+     * @param {function(string|null): void} callback - Receives the KeyboardEvent.code.
+     */
+    captureKey(callback) {
+        this.capture = callback;
+    }
+
+    /**
+     * Captures the current bindings for storage.
+     * @returns {object} Key per action id; pass to the constructor to restore.
+     */
+    serialize() {
+        return { ...this.keys };
+    }
+
+    onKeyDown(event) {
+        if (this.capture) {
+            event.preventDefault();
+            const callback = this.capture;
+            this.capture = null;
+            callback(event.code === CANCEL_CAPTURE_KEY ? null : event.code);
+            return;
+        }
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+        if (event.target instanceof HTMLElement && event.target.matches('input, textarea, select')) return;
+
+        const action = this.getAction(event.code);
+        if (!action) return;
+        event.preventDefault(); // E.g. Tab would move focus and Space would press the focused button
+        if (event.repeat || this.heldActions.has(action)) return;
+        this.heldActions.add(action);
+        this.dispatch(action, 'onPress');
+    }
+
+    onKeyUp(event) {
+        const action = this.getAction(event.code);
+        if (!action || !this.heldActions.has(action)) return;
+        this.heldActions.delete(action);
+        this.dispatch(action, 'onRelease');
+    }
+
+    /**
+     * Releases every held action, e.g. when the window loses focus.
+     */
+    releaseAll() {
+        const held = [...this.heldActions];
+        this.heldActions.clear();
+        for (const action of held) this.dispatch(action, 'onRelease');
+    }
+
+    dispatch(action, kind) {
+        for (const entry of this.handlers.get(action) || []) {
+            if (!entry[kind]) continue;
+            try {
+                entry[kind]();
+            } catch (error) {
+                console.error(`Error in "${action}" input handler:`, error);
+            }
+        }
+    }
+}
+
+function checkAction(action) {
+    if (!INPUT_ACTIONS[action]) {
+        throw new Error(`Unknown input action: ${action}`);
+    }
+}
@@ -0,0 +1,351 @@
+// js/LevelLoader.js
+import { DAMAGE_TYPES } from './Damage.js';
+import { ENDLESS_DEFAULTS } from './EndlessWaves.js';
+import { ENEMY_ABILITIES } from './EnemyAbilities.js';
+
+/**
+ * Level files are versioned JSON documents (see levels/meadow.json):
+ *
+ *   version     Format version, currently LEVEL_FORMAT_VERSION.
+ *   id, name    Identifier (used in saves and replays) and display name.
+ *   ground      { width, depth } of the ground plane, centred on the origin.
+ *   routes      Enemy routes keyed by id: { waypoints: [{ x, z }, ...] }, each
+ *               running from a spawn point to an exit. Several entrances,
+ *               forks and merges are expressed as routes sharing waypoints.
+ *               The first route is the default for groups that name none.
+ *   pathBuffer  Optional no-build distance kept around every route (default 1).
+ *   buildZones  Optional [{ x, z, width, depth }] rectangles (x/z = min corner)
+ *               towers must sit in. Omit to allow the whole ground.
+ *   economy     { startingGold, startingLives }.
+ *   enemyTypes  Enemy definitions keyed by id: health, speed, value, color
+ *               ("#rrggbb" or number), size, and optional armor/resistances
+ *               and `abilities: [{ type, ...settings }]` (see ENEMY_ABILITIES).
+ *   waves       [{ delay, enemies: [group, ...] }, ...] where a group is
+ *               { type, count, interval } plus either `route: id` or
+ *               `routes: { id: weight, ... }` to split it across routes.
+ *   endless     Optional overrides for endless mode (see ENDLESS_DEFAULTS).
+ *
+ * Older versions are upgraded by LEVEL_MIGRATIONS before validation.
+ */
+export const LEVEL_FORMAT_VERSION = 2;
+
+/**
+ * Upgrades level data from version N (the key) to N + 1.
+ */
+export const LEVEL_MIGRATIONS = {
+    // v1 had a single `path: { waypoints, buildBuffer }`
+    1: data => {
+        const { path, ...rest } = data;
+        const migrated = { ...rest, version: 2 };
+        if (path && typeof path === 'object') {
+            migrated.routes = { main: { waypoints: path.waypoints } };
+            if (path.buildBuffer !== undefined) migrated.pathBuffer = path.buildBuffer;
+        }
+        return migrated;
+    }
+};
+
+/**
+ * Thrown when a level file fails validation; `errors` lists every problem found.
+ */
+export class LevelValidationError extends Error {
+    /**
+     * @param {string} levelName - File or id of the level, for the message.
+     * @param {string[]} errors - One message per problem, prefixed with its location.
+     */
+    constructor(levelName, errors) {
+        super(`Invalid level "${levelName}":\n  - ${errors.join('\n  - ')}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validates raw level data and converts it into the shape GameSession expects.
+ * @param {object} data - Parsed JSON level.
+ * @param {string} [source='level'] - File name or URL, used in error messages.
+ * @returns {object} The normalized level.
+ * @throws {LevelValidationError} If the data does not match the schema.
+ */
+export function parseLevel(data, source = 'level') {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+
+    if (!check(isObject(data), 'level must be a JSON object')) {
+        throw new LevelValidationError(source, errors);
+    }
+
+    while (LEVEL_MIGRATIONS[data.version]) {
+        data = LEVEL_MIGRATIONS[data.version](data);
+    }
+
+    if (check(data.version !== undefined, 'version is required')) {
+        check(data.version === LEVEL_FORMAT_VERSION,
+            `version ${data.version} is not supported (expected ${LEVEL_FORMAT_VERSION})`);
+    }
+    check(isNonEmptyString(data.id), 'id must be a non-empty string');
+    check(data.name === undefined || typeof data.name === 'string', 'name must be a string');
+
+    // Ground
+    const ground = data.ground;
+    if (check(isObject(ground), 'ground must be an object with width and depth')) {
+        check(isPositive(ground.width), 'ground.width must be a positive number');
+        check(isPositive(ground.depth), 'ground.depth must be a positive number');
+    }
+
+    // Routes
+    const routes = data.routes;
+    if (check(isObject(routes) && Object.keys(routes).length > 0, 'routes must be an object with at least one route')) {
+        for (const [id, route] of Object.entries(routes)) {
+            const at = `routes.${id}`;
+            if (!check(isObject(route), `${at} must be an object with waypoints`)) continue;
+            if (check(Array.isArray(route.waypoints) && route.waypoints.length >= 2,
+                `${at}.waypoints must be an array of at least 2 points`)) {
+                route.waypoints.forEach((point, i) => {
+                    check(isObject(point) && isFiniteNumber(point.x) && isFiniteNumber(point.z),
+                        `${at}.waypoints[${i}] must be { x, z } with numeric coordinates`);
+                });
+            }
+        }
+    }
+    check(data.pathBuffer === undefined || isNonNegative(data.pathBuffer), 'pathBuffer must be a non-negative number');
+
+    // Build zones
+    if (data.buildZones !== undefined) {
+        if (check(Array.isArray(data.buildZones), 'buildZones must be an array')) {
+            data.buildZones.forEach((zone, i) => {
+                check(isObject(zone) && isFiniteNumber(zone.x) && isFiniteNumber(zone.z)
+                    && isPositive(zone.width) && isPositive(zone.depth),
+                    `buildZones[${i}] must be { x, z, width, depth } with positive width and depth`);
+            });
+        }
+    }
+
+    // Economy
+    const economy = data.economy;
+    if (check(isObject(economy), 'economy must be an object')) {
+        check(isNonNegative(economy.startingGold), 'economy.startingGold must be a non-negative number');
+        check(Number.isInteger(economy.startingLives) && economy.startingLives > 0,
+            'economy.startingLives must be a positive integer');
+    }
+
+    // Enemy types
+    const enemyTypes = data.enemyTypes;
+    if (check(isObject(enemyTypes) && Object.keys(enemyTypes).length > 0,
+        'enemyTypes must be an object with at least one enemy definition')) {
+        for (const [id, enemy] of Object.entries(enemyTypes)) {
+            validateEnemyType(enemy, `enemyTypes.${id}`, check, enemyTypes);
+        }
+        checkSplitCycles(enemyTypes, check);
+    }
+
+    // Waves
+    if (check(Array.isArray(data.waves) && data.waves.length > 0, 'waves must be a non-empty array')) {
+        data.waves.forEach((wave, i) => {
+            const at = `waves[${i}]`;
+            if (!check(isObject(wave), `${at} must be an object`)) return;
+            check(wave.delay === undefined || isNonNegative(wave.delay), `${at}.delay must be a non-negative number`);
+            if (!check(Array.isArray(wave.enemies) && wave.enemies.length > 0, `${at}.enemies must be a non-empty array`)) return;
+            wave.enemies.forEach((group, j) => {
+                const groupAt = `${at}.enemies[${j}]`;
+                if (!check(isObject(group), `${groupAt} must be an object`)) return;
+                check(isObject(enemyTypes) && Object.prototype.hasOwnProperty.call(enemyTypes, group.type),
+                    `${groupAt}.type "${group.type}" is not defined in enemyTypes`);
+                check(Number.isInteger(group.count) && group.count > 0, `${groupAt}.count must be a positive integer`);
+                check(isNonNegative(group.interval), `${groupAt}.interval must be a non-negative number`);
+                validateGroupRoutes(group, groupAt, routes, check);
+            });
+        });
+    }
+
+    // Endless mode overrides
+    if (data.endless !== undefined && check(isObject(data.endless), 'endless must be an object')) {
+        for (const [key, value] of Object.entries(data.endless)) {
+            const at = `endless.${key}`;
+            if (!check(Object.prototype.hasOwnProperty.call(ENDLESS_DEFAULTS, key), `${at} is not a known endless setting`)) continue;
+            if (key === 'bossType') {
+                check(isObject(enemyTypes) && Object.prototype.hasOwnProperty.call(enemyTypes, value),
+                    `${at} "${value}" is not defined in enemyTypes`);
+            } else if (key === 'bossEvery') {
+                check(Number.isInteger(value) && value >= 0, `${at} must be a non-negative integer (0 = no bosses)`);
+            } else if (key === 'bossShield') {
+                check(isNonNegative(value), `${at} must be a non-negative number (0 = no shield)`);
+            } else {
+                check(isPositive(value), `${at} must be a positive number`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new LevelValidationError(source, errors);
+    }
+
+    return normalizeLevel(data);
+}
+
+/**
+ * Fetches a level file and validates it.
+ * @param {string} url - URL of the JSON level.
+ * @returns {Promise<object>} The normalized level.
+ * @throws {Error} If the file cannot be fetched or parsed.
+ * @throws {LevelValidationError} If the level does not match the schema.
+ */
+export async function loadLevelFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load level "${url}": ${response.status} ${response.statusText}`);
+    }
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new Error(`Level "${url}" is not valid JSON: ${error.message}`);
+    }
+    return parseLevel(data, url);
+}
+
+function validateGroupRoutes(group, at, routes, check) {
+    const hasRoute = id => isObject(routes) && Object.prototype.hasOwnProperty.call(routes, id);
+    check(group.route === undefined || group.routes === undefined, `${at} must set either route or routes, not both`);
+    if (group.route !== undefined) {
+        check(hasRoute(group.route), `${at}.route "${group.route}" is not defined in routes`);
+    }
+    if (group.routes !== undefined
+        && check(isObject(group.routes) && Object.keys(group.routes).length > 0, `${at}.routes must map route ids to weights`)) {
+        for (const [id, weight] of Object.entries(group.routes)) {
+            check(hasRoute(id), `${at}.routes.${id} is not defined in routes`);
+            check(isPositive(weight), `${at}.routes.${id} weight must be a positive number`);
+        }
+    }
+}
+
+function validateEnemyType(enemy, at, check, enemyTypes) {
+    if (!check(isObject(enemy), `${at} must be an object`)) return;
+    check(isPositive(enemy.health), `${at}.health must be a positive number`);
+    check(isPositive(enemy.speed), `${at}.speed must be a positive number`);
+    check(isNonNegative(enemy.value), `${at}.value must be a non-negative number`);
+    check(enemy.size === undefined || isPositive(enemy.size), `${at}.size must be a positive number`);
+    check(enemy.color === undefined || parseColor(enemy.color) !== null, `${at}.color must be "#rrggbb" or a number`);
+    check(enemy.armor === undefined || isNonNegative(enemy.armor), `${at}.armor must be a non-negative number`);
+    if (enemy.resistances !== undefined && check(isObject(enemy.resistances), `${at}.resistances must be an object`)) {
+        for (const [damageType, value] of Object.entries(enemy.resistances)) {
+            check(DAMAGE_TYPES[damageType] !== undefined, `${at}.resistances.${damageType} is not a known damage type`);
+            check(isFiniteNumber(value) && value <= 1, `${at}.resistances.${damageType} must be a number no greater than 1`);
+        }
+    }
+    if (enemy.abilities !== undefined && check(Array.isArray(enemy.abilities), `${at}.abilities must be an array`)) {
+        enemy.abilities.forEach((ability, i) => validateAbility(ability, `${at}.abilities[${i}]`, check, enemyTypes));
+    }
+}
+
+function validateAbility(ability, at, check, enemyTypes) {
+    if (!check(isObject(ability), `${at} must be an object`)) return;
+    const definition = ENEMY_ABILITIES[ability.type];
+    if (!check(definition !== undefined, `${at}.type "${ability.type}" is not a known enemy ability`)) return;
+    for (const [key, value] of Object.entries(ability)) {
+        if (key === 'type') continue;
+        const settingAt = `${at}.${key}`;
+        if (!check(Object.prototype.hasOwnProperty.call(definition.defaults, key), `${settingAt} is not a setting of "${ability.type}"`)) continue;
+        if (key === 'into') {
+            check(Object.prototype.hasOwnProperty.call(enemyTypes, value), `${settingAt} "${value}" is not defined in enemyTypes`);
+        } else if (key === 'count') {
+            check(Number.isInteger(value) && value > 0, `${settingAt} must be a positive integer`);
+        } else {
+            check(isNonNegative(value), `${settingAt} must be a non-negative number`);
+        }
+    }
+    if (ability.type === 'split') check(ability.into !== undefined, `${at}.into is required`);
+}
+
+/**
+ * Rejects enemy types that split, directly or through others, back into themselves,
+ * which would spawn enemies forever.
+ */
+function checkSplitCycles(enemyTypes, check) {
+    const splitsInto = id => {
+        const enemy = enemyTypes[id];
+        if (!isObject(enemy) || !Array.isArray(enemy.abilities)) return [];
+        return enemy.abilities
+            .filter(ability => isObject(ability) && ability.type === 'split' && Object.prototype.hasOwnProperty.call(enemyTypes, ability.into))
+            .map(ability => ability.into);
+    };
+    for (const id of Object.keys(enemyTypes)) {
+        const seen = new Set();
+        const pending = splitsInto(id);
+        while (pending.length > 0) {
+            const next = pending.pop();
+            if (next === id) {
+                check(false, `enemyTypes.${id} splits back into itself`);
+                break;
+            }
+            if (seen.has(next)) continue;
+            seen.add(next);
+            pending.push(...splitsInto(next));
+        }
+    }
+}
+
+/**
+ * Builds the runtime level from validated data: fills defaults, converts colors
+ * and copies everything so the session never mutates the source.
+ */
+function normalizeLevel(data) {
+    const enemyTypes = {};
+    for (const [id, enemy] of Object.entries(data.enemyTypes)) {
+        enemyTypes[id] = { ...enemy, resistances: { ...enemy.resistances } };
+        if (enemy.abilities !== undefined) enemyTypes[id].abilities = enemy.abilities.map(ability => ({ ...ability }));
+        if (enemy.color !== undefined) enemyTypes[id].color = parseColor(enemy.color);
+    }
+
+    return {
+        version: data.version,
+        id: data.id,
+        name: data.name || data.id,
+        ground: { width: data.ground.width, depth: data.ground.depth },
+        routes: Object.fromEntries(Object.entries(data.routes).map(([id, route]) =>
+            [id, { waypoints: route.waypoints.map(({ x, z }) => ({ x, z })) }])),
+        pathBuffer: data.pathBuffer === undefined ? 1 : data.pathBuffer,
+        buildZones: data.buildZones ? data.buildZones.map(zone => ({ ...zone })) : null,
+        economy: { startingGold: data.economy.startingGold, startingLives: data.economy.startingLives },
+        enemyTypes,
+        waves: data.waves.map(wave => ({
+            delay: wave.delay || 0,
+            enemies: wave.enemies.map(({ type, count, interval, route, routes }) => {
+                const group = { type, count, interval };
+                if (route !== undefined) group.route = route;
+                if (routes !== undefined) group.routes = { ...routes };
+                return group;
+            })
+        })),
+        endless: data.endless ? { ...data.endless } : {}
+    };
+}
+
+function parseColor(color) {
+    if (Number.isInteger(color) && color >= 0 && color <= 0xffffff) return color;
+    if (typeof color === 'string' && /^#[0-9a-fA-F]{6}$/.test(color)) return parseInt(color.slice(1), 16);
+    return null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPositive(value) {
+    return isFiniteNumber(value) && value > 0;
+}
+
+function isNonNegative(value) {
+    return isFiniteNumber(value) && value >= 0;
+}
@@ -0,0 +1,65 @@
+// js/ObjectPool.js
+
+/**
+ * Keeps released objects for reuse, so short-lived entities (enemies,
+ * projectiles) do not allocate a fresh object every time one appears.
+ *
+ * Pooled objects implement `reset(...args)`, taking the same arguments as
+ * their constructor and reinitializing every field. Each acquire stamps the
+ * object with a new `poolGeneration`, so anything caching per-object data
+ * (e.g. GameView's meshes) can tell a reused object from the one it saw before.
+ */
+export class ObjectPool {
+    /**
+     * @param {function(...*): object} create - Builds a new object from the acquire arguments.
+     */
+    constructor(create) {
+        this.create = create;
+        this.free = [];
+        this.freeSet = new WeakSet(); // Guards against releasing the same object twice
+        this.live = 0;
+        this.created = 0;
+        this.generation = 0;
+    }
+
+    /**
+     * Returns a pooled object reset with the given arguments, or a new one if the pool is empty.
+     * @param {...*} args - Constructor / reset arguments.
+     * @returns {object}
+     */
+    acquire(...args) {
+        let object = this.free.pop();
+        if (object) {
+            this.freeSet.delete(object);
+            object.reset(...args);
+        } else {
+            object = this.create(...args);
+            this.created++;
+        }
+        object.poolGeneration = ++this.generation;
+        this.live++;
+        return object;
+    }
+
+    /**
+     * Hands an object back for reuse. The caller must drop its references to it.
+     * @param {object} object
+     */
+    release(object) {
+        if (this.freeSet.has(object)) {
+            console.warn("Object released to its pool twice.");
+            return;
+        }
+        this.freeSet.add(object);
+        this.free.push(object);
+        this.live--;
+    }
+
+    /**
+     * Counts objects in use and waiting for reuse, e.g. to check memory stays flat.
+     * @returns {{live: number, pooled: number, created: number}}
+     */
+    getStats() {
+        return { live: this.live, pooled: this.free.length, created: this.created };
+    }
+}
@@ -1,36 +1,44 @@
-import * as THREE from 'three';
+import { Vec3 } from './Vec3.js';
 
+// Waypoints sit slightly above the ground (0.0) to ensure visibility
+const PATH_HEIGHT = 0.1;
+
+/**
+ * One enemy route, from a spawn point to an exit. Levels with several
+ * entrances, forks or merges define one Path per route; routes that share
+ * a section simply repeat the same waypoints.
+ */
 class Path {
-    constructor() {
-        // Define the waypoints for the enemy path
-        // Y-coordinate is slightly above the ground (0.0) to ensure visibility
-        this.waypoints = [
-            new THREE.Vector3(-15, 0.1, 0),   // Start point
-            new THREE.Vector3(0, 0.1, 0),     // Turn point 1
-            new THREE.Vector3(0, 0.1, 15),    // Turn point 2
-            new THREE.Vector3(15, 0.1, 15)    // End point
-        ];
+    /**
+     * Creates a path from level waypoints.
+     * @param {{x: number, z: number}[]} waypoints - Ground coordinates of the route, start to end.
+     * @param {string} [id='main'] - Route id from the level file.
+     */
+    constructor(waypoints, id = 'main') {
+        this.id = id;
+        this.waypoints = waypoints.map(({ x, z }) => new Vec3(x, PATH_HEIGHT, z));
+
+        this.length = 0;
+        for (let i = 1; i < this.waypoints.length; i++) {
+            this.length += this.waypoints[i].distanceTo(this.waypoints[i - 1]);
+        }
     }
 
     /**
      * Returns the array of waypoints.
-     * @returns {THREE.Vector3[]} The array of waypoints.
+     * @returns {Vec3[]} The array of waypoints.
      */
     getWaypoints() {
         return this.waypoints;
     }
 
     /**
-     * Creates a visual representation of the path using THREE.Line.
-     * @returns {THREE.Line} The line object representing the path.
+     * Returns the total length of the route.
+     * @returns {number}
      */
-    createPathVisual() {
-        const points = this.getWaypoints();
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = new THREE.LineBasicMaterial({ color: 0xffff00 }); // Yellow color
-        const line = new THREE.Line(geometry, material);
-        return line;
+    getLength() {
+        return this.length;
     }
 }
 
-export { Path };
\ No newline at end of file
+export { Path };
@@ -0,0 +1,161 @@
+// js/PlacementGrid.js
+import { Vec3 } from './Vec3.js';
+import { distanceToSegmentXZ } from './Geometry.js';
+
+/**
+ * Square build grid laid over the ground plane.
+ * Snaps positions to cell centres, tracks which cells hold a tower and
+ * keeps a no-build buffer around the enemy paths.
+ */
+export class PlacementGrid {
+    /**
+     * Creates a placement grid centred on the origin.
+     * @param {object} config - Grid configuration.
+     * @param {number} [config.width=20] - Size of the ground along X.
+     * @param {number} [config.depth=20] - Size of the ground along Z.
+     * @param {number} [config.cellSize=1] - Edge length of one cell.
+     * @param {Path[]} [config.paths=[]] - Routes whose segments are kept clear.
+     * @param {number} [config.pathBuffer=1] - Minimum distance from a cell centre to the path.
+     * @param {object[]|null} [config.buildZones=null] - Rectangles { x, z, width, depth } (x/z = min corner)
+     *     a cell centre must lie in to be buildable; null allows the whole grid.
+     */
+    constructor(config = {}) {
+        const {
+            width = 20,
+            depth = 20,
+            cellSize = 1,
+            paths = [],
+            pathBuffer = 1,
+            buildZones = null
+        } = config;
+
+        this.width = width;
+        this.depth = depth;
+        this.cellSize = cellSize;
+        this.pathBuffer = pathBuffer;
+        this.buildZones = buildZones;
+        this.columns = Math.floor(width / cellSize);
+        this.rows = Math.floor(depth / cellSize);
+
+        this.occupied = new Map(); // cell key -> occupant (tower)
+        this.blocked = new Set(); // cell keys too close to a path
+        for (const path of paths) {
+            this.blockPath(path.getWaypoints());
+        }
+    }
+
+    /**
+     * Returns the cell containing a world position (which may be outside the grid).
+     * @param {{x: number, z: number}} position - World position.
+     * @returns {{col: number, row: number}}
+     */
+    getCell(position) {
+        return {
+            col: Math.floor((position.x + this.width / 2) / this.cellSize),
+            row: Math.floor((position.z + this.depth / 2) / this.cellSize)
+        };
+    }
+
+    /**
+     * Returns the world position at the centre of a cell, on the ground.
+     * @param {{col: number, row: number}} cell
+     * @returns {Vec3}
+     */
+    getCellCenter(cell) {
+        return new Vec3(
+            -this.width / 2 + (cell.col + 0.5) * this.cellSize,
+            0,
+            -this.depth / 2 + (cell.row + 0.5) * this.cellSize
+        );
+    }
+
+    /**
+     * Snaps a world position to the centre of its cell.
+     * @param {{x: number, z: number}} position
+     * @returns {Vec3}
+     */
+    snap(position) {
+        return this.getCellCenter(this.getCell(position));
+    }
+
+    isInBounds(cell) {
+        return cell.col >= 0 && cell.col < this.columns && cell.row >= 0 && cell.row < this.rows;
+    }
+
+    /**
+     * Checks whether a cell's centre lies inside one of the build zones.
+     * @param {{col: number, row: number}} cell
+     * @returns {boolean} Always true when the level defines no zones.
+     */
+    isInBuildZone(cell) {
+        if (!this.buildZones) return true;
+        const center = this.getCellCenter(cell);
+        return this.buildZones.some(zone =>
+            center.x >= zone.x && center.x <= zone.x + zone.width
+            && center.z >= zone.z && center.z <= zone.z + zone.depth);
+    }
+
+    /**
+     * Checks whether a tower may be placed in the cell under a position.
+     * @param {{x: number, z: number}} position - World position.
+     * @returns {string|null} null if the spot is free, else 'OUT_OF_BOUNDS', 'OUTSIDE_BUILD_ZONE', 'ON_PATH' or 'OCCUPIED'.
+     */
+    validate(position) {
+        const cell = this.getCell(position);
+        if (!this.isInBounds(cell)) return 'OUT_OF_BOUNDS';
+        if (!this.isInBuildZone(cell)) return 'OUTSIDE_BUILD_ZONE';
+
+        const key = cellKey(cell);
+        if (this.blocked.has(key)) return 'ON_PATH';
+        if (this.occupied.has(key)) return 'OCCUPIED';
+        return null;
+    }
+
+    /**
+     * Marks a cell as holding an occupant.
+     * @param {{col: number, row: number}} cell
+     * @param {object} occupant - Usually the tower placed there.
+     */
+    occupy(cell, occupant) {
+        this.occupied.set(cellKey(cell), occupant);
+    }
+
+    /**
+     * Frees a previously occupied cell.
+     * @param {{col: number, row: number}} cell
+     */
+    release(cell) {
+        this.occupied.delete(cellKey(cell));
+    }
+
+    /**
+     * Returns the occupant of the cell under a position, if any.
+     * @param {{x: number, z: number}} position
+     * @returns {object|undefined}
+     */
+    getOccupant(position) {
+        return this.occupied.get(cellKey(this.getCell(position)));
+    }
+
+    /**
+     * Blocks every cell whose centre lies within pathBuffer of a path segment.
+     * @param {Vec3[]} waypoints
+     */
+    blockPath(waypoints) {
+        for (let col = 0; col < this.columns; col++) {
+            for (let row = 0; row < this.rows; row++) {
+                const center = this.getCellCenter({ col, row });
+                for (let i = 0; i < waypoints.length - 1; i++) {
+                    if (distanceToSegmentXZ(center, waypoints[i], waypoints[i + 1]) < this.pathBuffer) {
+                        this.blocked.add(cellKey({ col, row }));
+                        break;
+                    }
+                }
+            }
+        }
+    }
+}
+
+function cellKey(cell) {
+    return `${cell.col},${cell.row}`;
+}
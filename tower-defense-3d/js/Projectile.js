@@ -1,61 +1,210 @@
-import * as THREE from 'three';
+import { Vec3 } from './Vec3.js';
+import { DEFAULT_DAMAGE_TYPE } from './Damage.js';
+import { DEFAULT_PROJECTILE_BEHAVIOR, getProjectileBehavior } from './ProjectileBehaviors.js';
+import { ObjectPool } from './ObjectPool.js';
+
+const splashCandidates = []; // Reused for every splash query (see SpatialHash#nearby)
 
 export class Projectile {
-    constructor(startPosition, targetEnemy, scene, config = {}) {
-        const { speed = 20, color = 0x00ff00, size = 0.1, damage = 10 } = config;
+    /**
+     * @param {{x: number, y: number, z: number}} startPosition - Launch point.
+     * @param {Enemy|null} targetEnemy - The enemy fired at.
+     * @param {object} [config] - Projectile config from the tower type: speed, color, size,
+     *     damage, damageType, splashRadius, splashFalloff, effects, `behavior` (key in
+     *     PROJECTILE_BEHAVIORS) and that behavior's settings. A restored projectile passes
+     *     its saved behavior `state` instead of the settings.
+     * @param {Tower|null} [tower=null] - The tower that fired it, credited with its damage.
+     */
+    constructor(startPosition, targetEnemy, config = {}, tower = null) {
+        this.position = new Vec3();
+        this.previousPosition = new Vec3(); // Position before the last update, for render interpolation
+        this.reset(startPosition, targetEnemy, config, tower);
+    }
+
+    /**
+     * Reinitializes the projectile, e.g. when projectilePool hands it out again.
+     * Takes the same arguments as the constructor.
+     * @param {{x: number, y: number, z: number}} startPosition
+     * @param {Enemy|null} targetEnemy
+     * @param {object} [config={}]
+     * @param {Tower|null} [tower=null]
+     */
+    reset(startPosition, targetEnemy, config = {}, tower = null) {
+        const {
+            speed = 20, color = 0x00ff00, size = 0.1, damage = 10,
+            damageType = DEFAULT_DAMAGE_TYPE, splashRadius = 0, splashFalloff = 0, effects = [],
+            behavior = DEFAULT_PROJECTILE_BEHAVIOR, state = null, ...behaviorConfig
+        } = config;
 
         this.targetEnemy = targetEnemy;
-        this.scene = scene;
+        this.tower = tower;
         this.speed = speed;
         this.damage = damage;
+        this.damageType = damageType; // Key in DAMAGE_TYPES
+        this.damageDealt = 0; // Effective damage after armor and resistances
+        this.splashRadius = splashRadius; // 0 = single target
+        this.splashFalloff = splashFalloff; // Share of damage lost at the edge of the splash (0 = none)
+        this.effects = effects; // Status effect configs applied to every enemy hit
+        this.color = color;
+        this.size = size;
 
-        // Use basic material for visibility without lighting
-        const geometry = new THREE.SphereGeometry(size, 8, 8); // Simple geometry
-        const material = new THREE.MeshBasicMaterial({ color: color });
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.position.copy(startPosition);
+        this.previousPosition.copy(startPosition);
 
-        this.mesh.position.copy(startPosition);
-        this.scene.add(this.mesh);
+        this.behaviorId = behavior;
+        this.behavior = getProjectileBehavior(behavior);
+        this.hitEnemies = []; // Enemies already struck, for behaviors that hit several
+        if (state) {
+            this.state = state;
+        } else {
+            this.behavior.init(this, behaviorConfig); // Sets this.state
+        }
     }
 
-    update(deltaTime) {
-        // Check if target is still valid (exists and not dead)
-        if (!this.targetEnemy || this.targetEnemy.isDead()) {
-            return 'INVALID_TARGET';
-        }
+    /**
+     * Moves the projectile according to its behavior and applies damage on impact.
+     * @param {number} deltaTime - Time elapsed since the last frame in seconds.
+     * @param {SpatialHash} enemyIndex - Active enemies by position, used for splash damage and multi-hit behaviors.
+     * @returns {string} A PROJECTILE_STATUS; anything but MOVING means the projectile is done.
+     */
+    update(deltaTime, enemyIndex) {
+        this.previousPosition.copy(this.position);
+        return this.behavior.update(this, deltaTime, enemyIndex);
+    }
 
-        const targetPosition = this.targetEnemy.mesh.position;
-        const direction = new THREE.Vector3().subVectors(targetPosition, this.mesh.position);
+    /**
+     * Flies straight towards a point.
+     * @param {{x: number, y: number, z: number}} point
+     * @param {number} reach - Distance from the point that counts as arrived.
+     * @param {number} deltaTime - Time elapsed since the last frame in seconds.
+     * @returns {boolean} True once the projectile has arrived.
+     */
+    moveTowards(point, reach, deltaTime) {
+        const direction = new Vec3().subVectors(point, this.position);
         const distance = direction.length();
         const moveDistance = this.speed * deltaTime;
+        if (distance <= moveDistance || distance <= reach) {
+            return true;
+        }
+        direction.normalize();
+        this.position.addScaledVector(direction, moveDistance);
+        return false;
+    }
 
-        // Simple distance check for hit detection
-        // Using a small threshold like 0.5 or comparing with combined radii
-        // Let's use a simple distance threshold for now
-        const hitThreshold = (this.targetEnemy.mesh.geometry.parameters.radius || 0.5) + (this.mesh.geometry.parameters.radius || 0.1);
-        // Or simpler: const hitThreshold = 0.5;
-
-        if (distance <= moveDistance || distance <= hitThreshold) {
-            // Deal damage upon hit
-            this.targetEnemy.takeDamage(this.damage);
-            return 'HIT_TARGET';
+    /**
+     * Deals the projectile's damage on impact: a splash around the impact point
+     * when it has a splashRadius, otherwise a single hit on the enemy struck.
+     * @param {Enemy} enemy - The enemy struck.
+     * @param {{x: number, y: number, z: number}} impactPosition
+     * @param {SpatialHash} enemyIndex - Active enemies by position.
+     */
+    impact(enemy, impactPosition, enemyIndex) {
+        if (this.splashRadius > 0) {
+            this.applySplash(impactPosition, enemyIndex, enemy);
         } else {
-            // Move towards target
-            direction.normalize();
-            this.mesh.position.addScaledVector(direction, moveDistance);
-            return 'MOVING';
+            this.hit(enemy);
         }
     }
 
-    dispose() {
-        if (this.mesh && this.scene) {
-            this.scene.remove(this.mesh);
-            // Optional: Dispose geometry and material if needed, though less critical for simple shapes
-            // this.mesh.geometry.dispose();
-            // this.mesh.material.dispose();
+    /**
+     * Damages every live enemy within splashRadius of the impact point. Damage
+     * drops linearly with distance, down to (1 - splashFalloff) at the edge;
+     * the enemy struck directly always takes full damage.
+     * @param {{x: number, y: number, z: number}} impactPosition - Where the projectile landed.
+     * @param {SpatialHash} enemyIndex - Active enemies by position.
+     * @param {Enemy|null} [struck=null] - The enemy struck directly, if any.
+     * @returns {number} How many enemies were hit.
+     */
+    applySplash(impactPosition, enemyIndex, struck = null) {
+        let hits = 0;
+        for (const enemy of enemyIndex.nearby(impactPosition, this.splashRadius, splashCandidates)) {
+            if (enemy === struck || enemy.isDead() || enemy.hasReachedEnd()) continue;
+            const distance = enemy.position.distanceTo(impactPosition);
+            if (distance <= this.splashRadius) {
+                this.hit(enemy, 1 - this.splashFalloff * distance / this.splashRadius);
+                hits++;
+            }
+        }
+        if (struck) {
+            this.hit(struck);
+            hits++;
         }
-        this.mesh = null;
-        this.scene = null;
+        return hits;
+    }
+
+    /**
+     * Deals the projectile's damage and status effects to one enemy.
+     * @param {Enemy} enemy
+     * @param {number} [damageScale=1] - Multiplier on the projectile's damage, e.g. for splash falloff.
+     * @returns {number} The effective damage dealt.
+     */
+    hit(enemy, damageScale = 1) {
+        const dealt = enemy.takeDamage(this.damage * damageScale, this.damageType, this.tower);
+        this.damageDealt += dealt;
+        for (const effect of this.effects) {
+            enemy.applyEffect(effect);
+        }
+        return dealt;
+    }
+
+    /**
+     * Captures the projectile's state for a save file. Enemies and the tower it
+     * refers to are saved as indexes into the session's lists.
+     * @param {function(Enemy): number} indexOfEnemy - Returns an enemy's index, or -1 if it is gone.
+     * @param {function(Tower): number} indexOfTower - Returns a tower's index, or -1 if it was sold.
+     * @returns {object} Plain JSON-safe data; see Projectile.deserialize.
+     */
+    serialize(indexOfEnemy, indexOfTower) {
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            speed: this.speed,
+            color: this.color,
+            size: this.size,
+            damage: this.damage,
+            damageType: this.damageType,
+            splashRadius: this.splashRadius,
+            splashFalloff: this.splashFalloff,
+            effects: this.effects,
+            behavior: this.behaviorId,
+            state: JSON.parse(JSON.stringify(this.state)), // Deep copy
+            target: this.targetEnemy ? indexOfEnemy(this.targetEnemy) : -1,
+            hitEnemies: this.hitEnemies.map(indexOfEnemy).filter(index => index >= 0),
+            tower: this.tower ? indexOfTower(this.tower) : -1
+        };
+    }
+
+    /**
+     * Rebuilds a projectile from Projectile#serialize output. Saves from before
+     * projectile behaviors only hold homing projectiles, which need no state.
+     * @param {object} data - Serialized projectile.
+     * @param {function(number): (Enemy|undefined)} enemyAt - Looks up a restored enemy by index.
+     * @param {function(number): (Tower|undefined)} towerAt - Looks up a restored tower by index.
+     * @returns {Projectile}
+     */
+    static deserialize(data, enemyAt, towerAt) {
+        const { position, target, hitEnemies = [], state = {}, tower = -1, ...config } = data;
+        const projectile = projectilePool.acquire(position, enemyAt(target) || null,
+            { ...config, state: JSON.parse(JSON.stringify(state)) }, towerAt(tower) || null);
+        projectile.hitEnemies = hitEnemies.map(enemyAt).filter(Boolean);
+        return projectile;
+    }
+
+    /**
+     * Drops every reference to an enemy that left play.
+     * @param {Enemy} enemy
+     */
+    forgetEnemy(enemy) {
+        if (this.targetEnemy === enemy) this.targetEnemy = null;
+        const index = this.hitEnemies.indexOf(enemy);
+        if (index !== -1) this.hitEnemies.splice(index, 1);
+    }
+
+    dispose() {
         this.targetEnemy = null; // Clear reference
+        this.tower = null;
+        this.hitEnemies = [];
     }
-}
\ No newline at end of file
+}
+
+// Shared by every session; spent projectiles are released back to it (see GameSession#step)
+export const projectilePool = new ObjectPool((startPosition, targetEnemy, config, tower) => new Projectile(startPosition, targetEnemy, config, tower));
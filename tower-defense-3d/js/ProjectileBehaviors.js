@@ -0,0 +1,204 @@
+// js/ProjectileBehaviors.js
+import { distanceToSegmentXZ, distanceXZ } from './Geometry.js';
+
+// Reused enemy query results, one per call site (see SpatialHash#nearby)
+const pierceCandidates = [];
+const lobCandidates = [];
+const chainCandidates = [];
+
+/**
+ * What a projectile's update reports; anything but MOVING means it is spent
+ * and GameSession removes it.
+ */
+export const PROJECTILE_STATUS = {
+    MOVING: 'MOVING', // Still in flight
+    HIT_TARGET: 'HIT_TARGET', // Done after damaging its target(s)
+    INVALID_TARGET: 'INVALID_TARGET', // Its target died or leaked before it arrived
+    EXPIRED: 'EXPIRED' // Spent without a target, e.g. out of range or landed on empty ground
+};
+
+/**
+ * How projectiles fly and what they hit, keyed by behavior id. A tower type
+ * picks one with `behavior` in its projectile config; the behavior's own
+ * settings sit next to it in that config.
+ *
+ * `init(projectile, config)` runs when the projectile is fired and stores the
+ * behavior's working data in `projectile.state`, which must stay JSON-safe so
+ * projectiles in flight can be saved. `update(projectile, deltaTime, enemyIndex)`
+ * moves the projectile and returns its status; `enemyIndex` is the session's
+ * SpatialHash of enemies, for finding what a projectile hits near a point.
+ * The status is one of PROJECTILE_STATUS.
+ *
+ * Splash is not a behavior of its own: any behavior's impacts burst when the
+ * projectile has a `splashRadius` (see Projectile#impact).
+ */
+export const PROJECTILE_BEHAVIORS = {
+    'homing': {
+        label: 'Homing',
+        init(projectile) {
+            projectile.state = {};
+        },
+        update(projectile, deltaTime, enemyIndex) {
+            const target = projectile.targetEnemy;
+            if (!isTargetable(target)) return PROJECTILE_STATUS.INVALID_TARGET;
+            if (!projectile.moveTowards(target.position, reach(projectile, target), deltaTime)) return PROJECTILE_STATUS.MOVING;
+            projectile.impact(target, target.position, enemyIndex);
+            return PROJECTILE_STATUS.HIT_TARGET;
+        }
+    },
+    'piercing': {
+        // pierce: enemies hit before the shot is spent; maxDistance: how far it flies
+        label: 'Piercing',
+        init(projectile, { pierce = 3, maxDistance = 12 }) {
+            const dx = projectile.targetEnemy.position.x - projectile.position.x;
+            const dz = projectile.targetEnemy.position.z - projectile.position.z;
+            const length = Math.sqrt(dx * dx + dz * dz) || 1;
+            // Flies level at launch height in the direction of its target, hitting whatever it passes over
+            projectile.state = { direction: { x: dx / length, z: dz / length }, travelled: 0, maxDistance, pierceLeft: pierce };
+        },
+        update(projectile, deltaTime, enemyIndex) {
+            const { state } = projectile;
+            const start = { x: projectile.position.x, z: projectile.position.z };
+            const moveDistance = Math.min(projectile.speed * deltaTime, state.maxDistance - state.travelled);
+            projectile.position.x += state.direction.x * moveDistance;
+            projectile.position.z += state.direction.z * moveDistance;
+            state.travelled += moveDistance;
+
+            // Everything touching the segment flown this step is within this radius of its end
+            const searchRadius = moveDistance + projectile.size + enemyIndex.maxRadius;
+            for (const enemy of enemyIndex.nearby(projectile.position, searchRadius, pierceCandidates)) {
+                if (!isTargetable(enemy) || projectile.hitEnemies.includes(enemy)) continue;
+                if (distanceToSegmentXZ(enemy.position, start, projectile.position) <= reach(projectile, enemy)) {
+                    projectile.impact(enemy, enemy.position, enemyIndex);
+                    projectile.hitEnemies.push(enemy);
+                    if (--state.pierceLeft <= 0) return PROJECTILE_STATUS.HIT_TARGET;
+                }
+            }
+            return state.travelled >= state.maxDistance ? PROJECTILE_STATUS.EXPIRED : PROJECTILE_STATUS.MOVING;
+        }
+    },
+    'chain': {
+        // chainCount: extra jumps after the first hit; chainRange: jump distance;
+        // chainFalloff: damage multiplier per jump
+        label: 'Chain',
+        init(projectile, { chainCount = 3, chainRange = 2.5, chainFalloff = 0.7 }) {
+            projectile.state = { jumpsLeft: chainCount, chainRange, chainFalloff };
+        },
+        update(projectile, deltaTime, enemyIndex) {
+            const { state } = projectile;
+            if (!isTargetable(projectile.targetEnemy)) {
+                // Jump to a neighbour instead of fizzling when the target dies first
+                projectile.targetEnemy = findChainTarget(projectile, projectile.position, enemyIndex);
+                if (!projectile.targetEnemy) return PROJECTILE_STATUS.INVALID_TARGET;
+            }
+            const target = projectile.targetEnemy;
+            if (!projectile.moveTowards(target.position, reach(projectile, target), deltaTime)) return PROJECTILE_STATUS.MOVING;
+
+            projectile.impact(target, target.position, enemyIndex);
+            projectile.hitEnemies.push(target);
+            if (state.jumpsLeft <= 0) return PROJECTILE_STATUS.HIT_TARGET;
+
+            const next = findChainTarget(projectile, target.position, enemyIndex);
+            if (!next) return PROJECTILE_STATUS.HIT_TARGET;
+            projectile.targetEnemy = next;
+            projectile.damage *= state.chainFalloff;
+            state.jumpsLeft--;
+            return PROJECTILE_STATUS.MOVING;
+        }
+    },
+    'ballistic': {
+        // arcHeight: peak height of the shell's arc above the straight line to the aim point
+        label: 'Ballistic',
+        init(projectile, { arcHeight = 2 }) {
+            const origin = { x: projectile.position.x, y: projectile.position.y, z: projectile.position.z };
+            const aim = leadTarget(projectile, projectile.targetEnemy);
+            const flightTime = Math.max(distanceXZ(origin, aim) / projectile.speed, MIN_FLIGHT_TIME);
+            projectile.state = { origin, aim: { x: aim.x, y: aim.y, z: aim.z }, flightTime, elapsed: 0, arcHeight };
+        },
+        update(projectile, deltaTime, enemyIndex) {
+            const { state } = projectile;
+            const { origin, aim } = state;
+            state.elapsed += deltaTime;
+            const t = Math.min(1, state.elapsed / state.flightTime);
+            projectile.position.set(
+                origin.x + (aim.x - origin.x) * t,
+                origin.y + (aim.y - origin.y) * t + state.arcHeight * 4 * t * (1 - t),
+                origin.z + (aim.z - origin.z) * t
+            );
+            if (t < 1) return PROJECTILE_STATUS.MOVING;
+
+            // Lands where it was aimed; it only hits what is there by then
+            if (projectile.splashRadius > 0) {
+                return projectile.applySplash(aim, enemyIndex) > 0 ? PROJECTILE_STATUS.HIT_TARGET : PROJECTILE_STATUS.EXPIRED;
+            }
+            const struck = enemyIndex.nearby(aim, projectile.size + enemyIndex.maxRadius, lobCandidates)
+                .find(enemy => isTargetable(enemy) && distanceXZ(enemy.position, aim) <= reach(projectile, enemy));
+            if (!struck) return PROJECTILE_STATUS.EXPIRED;
+            projectile.impact(struck, aim, enemyIndex);
+            return PROJECTILE_STATUS.HIT_TARGET;
+        }
+    }
+};
+
+export const DEFAULT_PROJECTILE_BEHAVIOR = 'homing';
+
+// Passes of the lead-aiming estimate; each refines the flight time to the predicted position
+const LEAD_ITERATIONS = 3;
+
+// Shortest shell flight, so point-blank shots still arc
+const MIN_FLIGHT_TIME = 0.2;
+
+/**
+ * Looks up a projectile behavior by id.
+ * @param {string} behaviorId - Key in PROJECTILE_BEHAVIORS.
+ * @returns {object} The behavior.
+ * @throws {Error} If the behavior id is unknown.
+ */
+export function getProjectileBehavior(behaviorId) {
+    const behavior = PROJECTILE_BEHAVIORS[behaviorId];
+    if (!behavior) {
+        throw new Error(`Unknown projectile behavior: ${behaviorId}`);
+    }
+    return behavior;
+}
+
+function isTargetable(enemy) {
+    return !!enemy && !enemy.isDead() && !enemy.hasReachedEnd();
+}
+
+/**
+ * Distance at which a projectile touches an enemy: their combined radii.
+ */
+function reach(projectile, enemy) {
+    return (enemy.size || 0.5) + (projectile.size || 0.1);
+}
+
+/**
+ * Aims ahead of an enemy: where it will be when a projectile fired now arrives.
+ * @returns {Vec3}
+ */
+function leadTarget(projectile, enemy) {
+    let aim = enemy.position;
+    for (let i = 0; i < LEAD_ITERATIONS; i++) {
+        aim = enemy.predictPosition(distanceXZ(projectile.position, aim) / projectile.speed);
+    }
+    return aim;
+}
+
+/**
+ * Finds the closest enemy within chain range that the projectile has not hit yet.
+ * @returns {Enemy|null}
+ */
+function findChainTarget(projectile, from, enemyIndex) {
+    let best = null;
+    let bestDistance = projectile.state.chainRange;
+    for (const enemy of enemyIndex.nearby(from, bestDistance, chainCandidates)) {
+        if (!isTargetable(enemy) || projectile.hitEnemies.includes(enemy)) continue;
+        const distance = distanceXZ(enemy.position, from);
+        if (distance <= bestDistance) {
+            best = enemy;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
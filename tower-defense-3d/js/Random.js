@@ -0,0 +1,46 @@
+// js/Random.js
+
+/**
+ * Small seeded pseudo-random number generator (mulberry32).
+ * The whole state is one 32-bit integer, so it can be saved and restored
+ * and a run seeded with the same value always plays out the same way.
+ */
+export class Random {
+    /**
+     * @param {number} seed - Any integer; only the low 32 bits are used.
+     */
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Returns the next number in [0, 1).
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns an integer in [min, max].
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Returns a random element of a non-empty array.
+     * @param {Array} items
+     * @returns {*}
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
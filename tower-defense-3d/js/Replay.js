@@ -0,0 +1,143 @@
+// js/Replay.js
+import { GameSession } from './GameSession.js';
+import { TICK_DURATION } from './GameLoop.js';
+
+/**
+ * Replays are versioned JSON documents:
+ *
+ *   version    Format version, currently REPLAY_FORMAT_VERSION.
+ *   levelId    Id of the level the run was played on.
+ *   seed       The session seed.
+ *   endless    Whether the run was in endless mode (absent = false).
+ *   commands   The session's command log: [{ tick, type, ... }, ...] where
+ *              `tick` is the number of simulation ticks completed when the
+ *              command was issued (see GameSession#execute).
+ *   result     { status, wave, gold, lives, ticks } when the replay was made,
+ *              used to check that playback reproduced the run.
+ *
+ * Playback is deterministic because the simulation only advances in fixed
+ * ticks (see GameLoop) and all player input goes through GameSession#execute.
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+// localStorage key used to hand a replay over to the page of another level
+export const REPLAY_STORAGE_KEY = 'towerDefense3d.replay';
+
+/**
+ * Thrown when replay data cannot be played.
+ */
+export class ReplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+/**
+ * Captures a session's run as a replay.
+ * @param {GameSession} session
+ * @returns {object} JSON-safe replay data.
+ */
+export function createReplay(session) {
+    return {
+        version: REPLAY_FORMAT_VERSION,
+        levelId: session.level.id,
+        seed: session.seed,
+        endless: session.endless,
+        commands: session.commandLog.map(command => ({ ...command })),
+        result: summarizeSession(session)
+    };
+}
+
+/**
+ * Summarizes a session's outcome, for comparing a playback with its recording.
+ * @param {GameSession} session
+ * @returns {{status: string, wave: number, gold: number, lives: number, ticks: number}}
+ */
+export function summarizeSession(session) {
+    return {
+        status: session.gameStatus,
+        wave: session.currentWaveNumber,
+        gold: session.gold,
+        lives: session.lives,
+        ticks: session.tickCount
+    };
+}
+
+/**
+ * Parses and checks replay JSON, e.g. from an imported file.
+ * @param {string} json
+ * @returns {object} The replay data.
+ * @throws {ReplayError} If the text is not a supported replay.
+ */
+export function parseReplay(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new ReplayError(`Replay is not valid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || typeof data.levelId !== 'string' || !Array.isArray(data.commands)) {
+        throw new ReplayError('Not a replay file.');
+    }
+    if (data.version !== REPLAY_FORMAT_VERSION) {
+        throw new ReplayError(`Replay version ${data.version} is not supported (expected ${REPLAY_FORMAT_VERSION}).`);
+    }
+    return data;
+}
+
+/**
+ * Feeds a replay's commands into a fresh session at the ticks they were recorded at.
+ * Install `applyDueCommands` as GameLoop#beforeTick, or call it before every step.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {object} replay - Replay data (see parseReplay).
+     * @param {object} level - The normalized level named by replay.levelId.
+     * @throws {ReplayError} If the replay was made on another level.
+     */
+    constructor(replay, level) {
+        if (replay.levelId !== level.id) {
+            throw new ReplayError(`Replay is for level "${replay.levelId}", not "${level.id}".`);
+        }
+        this.replay = replay;
+        this.session = new GameSession(level, { seed: replay.seed, endless: !!replay.endless });
+        this.nextCommandIndex = 0;
+    }
+
+    /**
+     * Applies every command recorded for the session's current tick.
+     */
+    applyDueCommands() {
+        const { commands } = this.replay;
+        while (this.nextCommandIndex < commands.length
+            && commands[this.nextCommandIndex].tick <= this.session.tickCount) {
+            const { tick, ...command } = commands[this.nextCommandIndex++];
+            this.session.execute(command);
+        }
+    }
+
+    /**
+     * Checks whether every recorded command has been applied.
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.nextCommandIndex >= this.replay.commands.length;
+    }
+
+    /**
+     * Plays the whole replay without rendering.
+     * @returns {GameSession} The session at the end of the run: game over, won,
+     *     or the tick the recording stopped at.
+     */
+    runToEnd() {
+        const endTick = this.replay.result ? this.replay.result.ticks : Infinity;
+        while (!this.session.isEnded() && this.session.tickCount < endTick) {
+            this.applyDueCommands();
+            if (this.isFinished() && endTick === Infinity) break; // Nothing left to reproduce
+            this.session.step(TICK_DURATION);
+        }
+        this.applyDueCommands(); // Commands issued after the last tick
+        return this.session;
+    }
+}
@@ -0,0 +1,163 @@
+// js/SaveGame.js
+import { GameSession } from './GameSession.js';
+
+/**
+ * Save files are versioned JSON documents:
+ *
+ *   version   Format version, currently SAVE_FORMAT_VERSION.
+ *   levelId   Id of the level the game was played on.
+ *   savedAt   ISO timestamp, for display only.
+ *   state     GameSession#serialize output: resources, status, towers,
+ *             enemies, projectiles in flight, the wave spawn queue and
+ *             statistics for the end-of-game report.
+ *
+ * Older versions are upgraded by SAVE_MIGRATIONS before loading.
+ */
+export const SAVE_FORMAT_VERSION = 4;
+
+/**
+ * Upgrades save data from version N (the key) to N + 1.
+ */
+export const SAVE_MIGRATIONS = {
+    // v1 predates replays: no seed, tick count or command log
+    1: data => ({
+        ...data,
+        version: 2,
+        state: { seed: 0, tickCount: 0, commandLog: [], ...data.state }
+    }),
+    // v2 predates endless mode and the saved RNG state
+    2: data => ({
+        ...data,
+        version: 3,
+        state: { endless: false, rngState: data.state.seed, ...data.state }
+    }),
+    // v3 had a single spawn queue per game and no wave countdown or auto-start
+    3: data => {
+        const { spawnTimer, enemiesToSpawn, ...waves } = data.state.waves;
+        return {
+            ...data,
+            version: 4,
+            state: {
+                ...data.state,
+                autoStart: false,
+                waves: {
+                    ...waves,
+                    spawners: enemiesToSpawn.length > 0
+                        ? [{ waveNumber: waves.currentWaveIndex + 1, spawnTimer, enemiesToSpawn }]
+                        : [],
+                    timeUntilNextWave: null
+                }
+            }
+        };
+    }
+};
+
+// localStorage key holding the current save
+export const SAVE_STORAGE_KEY = 'towerDefense3d.save';
+
+/**
+ * Thrown when save data cannot be loaded.
+ */
+export class SaveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveError';
+    }
+}
+
+/**
+ * Captures a session as save data.
+ * @param {GameSession} session - The session to save.
+ * @returns {object} JSON-safe save data.
+ */
+export function createSave(session) {
+    return {
+        version: SAVE_FORMAT_VERSION,
+        levelId: session.level.id,
+        savedAt: new Date().toISOString(),
+        state: session.serialize()
+    };
+}
+
+/**
+ * Migrates save data to the current version and checks its envelope.
+ * @param {object} data - Parsed save data.
+ * @returns {object} The save data at SAVE_FORMAT_VERSION.
+ * @throws {SaveError} If the data is not a save or its version is not supported.
+ */
+export function migrateSave(data) {
+    if (!data || typeof data !== 'object' || typeof data.levelId !== 'string' || !data.state) {
+        throw new SaveError('Not a save file.');
+    }
+    while (SAVE_MIGRATIONS[data.version]) {
+        data = SAVE_MIGRATIONS[data.version](data);
+    }
+    if (data.version !== SAVE_FORMAT_VERSION) {
+        throw new SaveError(`Save version ${data.version} is not supported (expected ${SAVE_FORMAT_VERSION}).`);
+    }
+    return data;
+}
+
+/**
+ * Rebuilds a session from save data.
+ * @param {object} data - Parsed save data.
+ * @param {object} level - The normalized level named by data.levelId (see LevelLoader.js).
+ * @returns {GameSession}
+ * @throws {SaveError} If the save is invalid, for another level, or references unknown content.
+ */
+export function loadSave(data, level) {
+    data = migrateSave(data);
+    if (data.levelId !== level.id) {
+        throw new SaveError(`Save is for level "${data.levelId}", not "${level.id}".`);
+    }
+    try {
+        return GameSession.restore(level, data.state);
+    } catch (error) {
+        throw new SaveError(`Save could not be restored: ${error.message}`);
+    }
+}
+
+/**
+ * Writes save data to storage, replacing any previous save.
+ * @param {object} data - Save data from createSave (or an imported file).
+ * @param {Storage} [storage=localStorage]
+ */
+export function storeSave(data, storage = globalThis.localStorage) {
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(data));
+}
+
+/**
+ * Reads the stored save without restoring it, e.g. to find its level.
+ * @param {Storage} [storage=localStorage]
+ * @returns {object|null} The migrated save data, or null if nothing is stored.
+ * @throws {SaveError} If the stored data is corrupt or unsupported.
+ */
+export function readStoredSave(storage = globalThis.localStorage) {
+    const json = storage.getItem(SAVE_STORAGE_KEY);
+    if (json === null) return null;
+    return parseSave(json);
+}
+
+/**
+ * Parses save JSON, e.g. from an imported file.
+ * @param {string} json
+ * @returns {object} The migrated save data.
+ * @throws {SaveError} If the text is not valid JSON or not a supported save.
+ */
+export function parseSave(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new SaveError(`Save is not valid JSON: ${error.message}`);
+    }
+    return migrateSave(data);
+}
+
+/**
+ * Removes the stored save, e.g. once its game has ended.
+ * @param {Storage} [storage=localStorage]
+ */
+export function clearStoredSave(storage = globalThis.localStorage) {
+    storage.removeItem(SAVE_STORAGE_KEY);
+}
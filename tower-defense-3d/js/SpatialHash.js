@@ -0,0 +1,257 @@
+// js/SpatialHash.js
+
+// Empty cells kept around the items' bounding box when the grid is laid out,
+// so items can move a while before one leaves the grid and forces a new layout
+const BOUNDS_MARGIN = 2;
+
+// Share of all items the cells under a query may hold before the query
+// checks every item in list order instead of only those cells
+const DENSE_SHARE = 0.25;
+
+/**
+ * Uniform grid over the ground (XZ) plane for finding entities near a point
+ * without looping over all of them. GameSession hands it the enemy list every
+ * step; towers, splash, chain and piercing hits query it.
+ *
+ * The grid is brought up to date lazily, on the first query (or maxRadius
+ * read) after SpatialHash#rebuild, so a step in which nothing queries it costs
+ * nothing. Updating is incremental while the list only grows at the end: one
+ * pass over the items moves those that changed cell and files new ones. The
+ * grid is laid out from scratch when an item was removed (shifting the others)
+ * or moved outside it.
+ *
+ * Queries return candidates: every entity whose centre is within the query
+ * radius plus the largest entity size, so anything that could touch the
+ * circle. Callers keep their own distance checks, so a query only narrows the
+ * loop and never changes its outcome. Candidates come back in the order they
+ * were inserted, so ties resolve exactly as a loop over the original list
+ * would: a query flags what it finds in a bitset by list index and reads the
+ * bits back in order. When the cells under a query hold a large share of all
+ * items (a tower next to a dense crowd), the query checks every item's position
+ * in list order instead, which is cheaper than ordering that many hits.
+ *
+ * Queries fill an array the caller passes in, so the per-step queries of
+ * towers and projectiles allocate nothing. Each call site keeps its own
+ * array: a query made while iterating another (a piercing hit that splashes)
+ * must not overwrite the results being iterated.
+ */
+export class SpatialHash {
+    /**
+     * @param {number} [cellSize=2] - Cell edge length; around the typical query radius works best.
+     */
+    constructor(cellSize = 2) {
+        this.cellSize = cellSize;
+        this.pending = null; // List passed to rebuild, until the next query catches up with it
+        this.items = []; // Copy of that list as of the last update, so later changes to it don't shift indices
+        this.largestSize = 0; // See SpatialHash#maxRadius
+
+        // Grid placement, in cells: column of the grid's left edge, row of its top edge, and its extent
+        this.minColumn = 0;
+        this.minRow = 0;
+        this.columns = 0;
+        this.rows = 0;
+        this.cells = []; // Per cell (column-major): indices of the items in it, in no particular order
+        this.spanFirstRows = new Int32Array(0); // Scratch for queries, per column: first and last row under the circle
+        this.spanLastRows = new Int32Array(0);
+
+        // Per item index
+        this.itemX = new Float64Array(0); // Position as of the last update
+        this.itemZ = new Float64Array(0);
+        this.itemCells = new Int32Array(0); // Cell it is filed under
+        this.found = new Int32Array(0); // Bit per item index, set while a query collects it; all clear between queries
+    }
+
+    /**
+     * Replaces the contents with a list of entities. The grid catches up with
+     * the list, and the positions in it, at the next query.
+     * @param {{position: {x: number, z: number}, size: number}[]} items
+     */
+    rebuild(items) {
+        this.pending = items;
+    }
+
+    /**
+     * Largest `size` among the items, for widening a query to everything that
+     * could touch a point.
+     * @type {number}
+     */
+    get maxRadius() {
+        if (this.pending) this.refresh();
+        return this.largestSize;
+    }
+
+    /**
+     * Brings the grid up to date with the list passed to rebuild.
+     */
+    refresh() {
+        const items = this.pending;
+        this.pending = null;
+        if (!this.refile(items)) this.layOut(items);
+    }
+
+    /**
+     * Updates the grid in place: refiles items that moved to another cell and
+     * files items appended since the last update.
+     * @param {object[]} items
+     * @returns {boolean} False if the grid must be laid out again instead; it is then left half updated.
+     */
+    refile(items) {
+        const count = items.length;
+        const copy = this.items;
+        const previousCount = copy.length;
+        if (count < previousCount || count > this.itemCells.length) return false;
+
+        const { itemX, itemZ, itemCells, cells, minColumn, minRow, columns, rows } = this;
+        const cellsPerUnit = 1 / this.cellSize;
+        let largestSize = 0;
+        for (let index = 0; index < count; index++) {
+            const item = items[index];
+            if (index < previousCount && copy[index] !== item) return false; // Something before it was removed
+            const { x, z } = item.position;
+            const column = Math.floor(x * cellsPerUnit) - minColumn;
+            const row = Math.floor(z * cellsPerUnit) - minRow;
+            if (column < 0 || column >= columns || row < 0 || row >= rows) return false;
+            itemX[index] = x;
+            itemZ[index] = z;
+            if (item.size > largestSize) largestSize = item.size;
+
+            const cell = column * rows + row;
+            if (index >= previousCount) {
+                copy.push(item);
+                cells[cell].push(index);
+            } else if (cell !== itemCells[index]) {
+                const previous = cells[itemCells[index]];
+                previous[previous.indexOf(index)] = previous[previous.length - 1];
+                previous.pop();
+                cells[cell].push(index);
+            } else {
+                continue;
+            }
+            itemCells[index] = cell;
+        }
+        this.largestSize = largestSize;
+        return true;
+    }
+
+    /**
+     * Sizes the grid to the items' bounding box plus BOUNDS_MARGIN and files every item.
+     * @param {object[]} items
+     */
+    layOut(items) {
+        const count = items.length;
+        this.items.length = 0;
+        this.largestSize = 0;
+        this.columns = 0;
+        this.rows = 0;
+        if (count === 0) return;
+        if (count > this.itemCells.length) {
+            const capacity = Math.max(count, this.itemCells.length * 2);
+            this.itemX = new Float64Array(capacity);
+            this.itemZ = new Float64Array(capacity);
+            this.itemCells = new Int32Array(capacity);
+            this.found = new Int32Array(Math.ceil(capacity / 32));
+        }
+
+        const cellsPerUnit = 1 / this.cellSize;
+        let minColumn = Infinity;
+        let maxColumn = -Infinity;
+        let minRow = Infinity;
+        let maxRow = -Infinity;
+        for (const { position } of items) {
+            const column = Math.floor(position.x * cellsPerUnit);
+            const row = Math.floor(position.z * cellsPerUnit);
+            if (column < minColumn) minColumn = column;
+            if (column > maxColumn) maxColumn = column;
+            if (row < minRow) minRow = row;
+            if (row > maxRow) maxRow = row;
+        }
+        this.minColumn = minColumn - BOUNDS_MARGIN;
+        this.minRow = minRow - BOUNDS_MARGIN;
+        this.columns = maxColumn - minColumn + 1 + 2 * BOUNDS_MARGIN;
+        this.rows = maxRow - minRow + 1 + 2 * BOUNDS_MARGIN;
+
+        if (this.columns > this.spanFirstRows.length) {
+            this.spanFirstRows = new Int32Array(this.columns);
+            this.spanLastRows = new Int32Array(this.columns);
+        }
+        const { cells } = this;
+        const cellCount = this.columns * this.rows;
+        for (let cell = 0; cell < cellCount; cell++) {
+            if (cell < cells.length) cells[cell].length = 0;
+            else cells.push([]);
+        }
+        this.refile(items); // Everything counts as appended, and everything fits
+    }
+
+    /**
+     * Collects the entities that could touch a circle on the ground plane.
+     * @param {{x: number, z: number}} center
+     * @param {number} radius
+     * @param {object[]} [out=[]] - Array to fill; its previous contents are dropped.
+     * @returns {object[]} `out`, holding the candidates in insertion order; check exact distances yourself.
+     */
+    nearby(center, radius, out = []) {
+        if (this.pending) this.refresh();
+        const reach = radius + this.largestSize;
+        const { cellSize, minColumn, minRow, cells, itemX, itemZ, items, rows, spanFirstRows, spanLastRows } = this;
+        const cellsPerUnit = 1 / cellSize; // Cells are found exactly as items were filed, so none falls between
+        const centerX = center.x;
+        const centerZ = center.z;
+        const reachSquared = reach * reach;
+        const firstColumn = Math.max(Math.floor((centerX - reach) * cellsPerUnit) - minColumn, 0);
+        const lastColumn = Math.min(Math.floor((centerX + reach) * cellsPerUnit) - minColumn, this.columns - 1);
+
+        // Only the rows the circle crosses within each column, not the whole bounding square
+        let entries = 0;
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            const left = (column + minColumn) * cellSize;
+            const gapX = Math.max(left - centerX, 0, centerX - (left + cellSize));
+            const halfChord = Math.sqrt(Math.max(reachSquared - gapX * gapX, 0));
+            const firstRow = Math.max(Math.floor((centerZ - halfChord) * cellsPerUnit) - minRow, 0);
+            const lastRow = Math.min(Math.floor((centerZ + halfChord) * cellsPerUnit) - minRow, rows - 1);
+            spanFirstRows[column] = firstRow;
+            spanLastRows[column] = lastRow;
+            for (let row = firstRow; row <= lastRow; row++) entries += cells[column * rows + row].length;
+        }
+
+        let length = 0;
+        if (entries > items.length * DENSE_SHARE) {
+            // Most items are close by: checking every position in list order beats collecting and ordering hits
+            for (let index = 0; index < items.length; index++) {
+                const dx = itemX[index] - centerX;
+                const dz = itemZ[index] - centerZ;
+                if (dx * dx + dz * dz <= reachSquared) out[length++] = items[index];
+            }
+        } else {
+            const { found } = this;
+            let firstWord = found.length;
+            let lastWord = -1;
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                for (let cell = column * rows + spanFirstRows[column]; cell <= column * rows + spanLastRows[column]; cell++) {
+                    for (const index of cells[cell]) {
+                        const dx = itemX[index] - centerX;
+                        const dz = itemZ[index] - centerZ;
+                        if (dx * dx + dz * dz > reachSquared) continue;
+                        const word = index >>> 5;
+                        found[word] |= 1 << (index & 31);
+                        if (word < firstWord) firstWord = word;
+                        if (word > lastWord) lastWord = word;
+                    }
+                }
+            }
+
+            // Read the set bits in index order, which is insertion order, clearing them for the next query
+            for (let word = firstWord; word <= lastWord; word++) {
+                let bits = found[word];
+                found[word] = 0;
+                while (bits !== 0) {
+                    const lowest = bits & -bits;
+                    out[length++] = items[(word << 5) + 31 - Math.clz32(lowest)];
+                    bits ^= lowest;
+                }
+            }
+        }
+        if (out.length !== length) out.length = length;
+        return out;
+    }
+}
@@ -0,0 +1,63 @@
+// js/StatusEffects.js
+
+/**
+ * Registry of status effects that can be applied to enemies, keyed by effect type.
+ *
+ * Every applied effect carries a `duration` (seconds) and a `magnitude` whose
+ * meaning depends on the type. `stacking` decides what happens when the same
+ * type is applied again while active:
+ *  - 'refresh': restart the duration and keep the stronger magnitude.
+ *  - 'stack': add a stack (up to `maxStacks`) and restart the duration.
+ * Optional hooks read the active effect: `speedMultiplier` and
+ * `damageTakenMultiplier` scale the enemy's stats, and `onTick` runs every
+ * `tickInterval` seconds.
+ */
+export const STATUS_EFFECTS = {
+    'slow': {
+        // magnitude: fraction of speed removed (0.4 = 40% slower)
+        stacking: 'refresh',
+        speedMultiplier: effect => 1 - effect.magnitude
+    },
+    'stun': {
+        stacking: 'refresh',
+        speedMultiplier: () => 0
+    },
+    'poison': {
+        // magnitude: magic damage per second per stack
+        stacking: 'stack',
+        maxStacks: 5,
+        tickInterval: 0.5,
+        onTick: (enemy, effect) => enemy.takeDamage(effect.magnitude * effect.stacks * effect.tickInterval, 'magic')
+    },
+    'armorShred': {
+        // magnitude: extra damage taken per stack (0.1 = +10%)
+        stacking: 'stack',
+        maxStacks: 3,
+        damageTakenMultiplier: effect => 1 + effect.magnitude * effect.stacks
+    }
+};
+
+/**
+ * Creates an active effect instance from an effect config.
+ * @param {object} config - Effect config, e.g. { type: 'slow', magnitude: 0.4, duration: 2 }.
+ * @param {string} config.type - Key in STATUS_EFFECTS.
+ * @param {number} config.duration - Duration in seconds.
+ * @param {number} [config.magnitude=0] - Strength of the effect.
+ * @returns {object|null} The effect instance, or null if the type is unknown.
+ */
+export function createStatusEffect(config) {
+    const definition = STATUS_EFFECTS[config.type];
+    if (!definition) {
+        console.warn(`Unknown status effect: ${config.type}`);
+        return null;
+    }
+    return {
+        type: config.type,
+        magnitude: config.magnitude || 0,
+        duration: config.duration,
+        remaining: config.duration,
+        stacks: 1,
+        tickInterval: definition.tickInterval || 0,
+        tickTimer: definition.tickInterval || 0
+    };
+}
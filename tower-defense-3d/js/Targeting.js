@@ -0,0 +1,72 @@
+// js/Targeting.js
+
+/**
+ * Targeting priority modes a tower can use, keyed by mode id.
+ * `score` rates an in-range enemy for a tower; the highest score wins.
+ */
+export const TARGETING_MODES = {
+    'first': {
+        label: 'First',
+        score: (tower, enemy) => -enemy.getRemainingDistance() // Closest to its exit, whichever route it is on
+    },
+    'last': {
+        label: 'Last',
+        score: (tower, enemy) => enemy.getRemainingDistance()
+    },
+    'strongest': {
+        label: 'Strongest',
+        score: (tower, enemy) => enemy.health
+    },
+    'weakest': {
+        label: 'Weakest',
+        score: (tower, enemy) => -enemy.health
+    },
+    'closest': {
+        label: 'Closest',
+        score: (tower, enemy) => -tower.position.distanceToSquared(enemy.position)
+    }
+};
+
+export const DEFAULT_TARGETING_MODE = 'first';
+
+/**
+ * Picks the best enemy for a tower according to a targeting mode.
+ * @param {string} mode - Key in TARGETING_MODES.
+ * @param {Tower} tower - The tower choosing a target.
+ * @param {Enemy[]} candidates - Enemies already known to be valid and in range.
+ * @returns {Enemy|null} The chosen enemy, or null if there are no candidates.
+ */
+export function selectTarget(mode, tower, candidates) {
+    const { score } = TARGETING_MODES[mode] || TARGETING_MODES[DEFAULT_TARGETING_MODE];
+    let best = null;
+    let bestScore = -Infinity;
+    for (const enemy of candidates) {
+        const enemyScore = score(tower, enemy);
+        if (enemyScore > bestScore) {
+            best = enemy;
+            bestScore = enemyScore;
+        }
+    }
+    return best;
+}
+
+/**
+ * Picks the best `count` enemies for a tower according to a targeting mode.
+ * @param {string} mode - Key in TARGETING_MODES.
+ * @param {Tower} tower - The tower choosing targets.
+ * @param {Enemy[]} candidates - Enemies already known to be valid and in range.
+ * @param {number} count - Maximum number of targets.
+ * @returns {Enemy[]} The chosen enemies, best first.
+ */
+export function selectTargets(mode, tower, candidates, count) {
+    if (count <= 1) {
+        const best = selectTarget(mode, tower, candidates);
+        return best ? [best] : [];
+    }
+    const { score } = TARGETING_MODES[mode] || TARGETING_MODES[DEFAULT_TARGETING_MODE];
+    return candidates
+        .map(enemy => ({ enemy, score: score(tower, enemy) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count)
+        .map(entry => entry.enemy);
+}
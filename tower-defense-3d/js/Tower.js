@@ -1,150 +1,227 @@
-import * as THREE from 'three';
-import { Projectile } from './Projectile.js';
+import { Vec3 } from './Vec3.js';
+import { projectilePool } from './Projectile.js';
+import { DEFAULT_TOWER_TYPE, getTowerType } from './TowerTypes.js';
+import { DEFAULT_TARGETING_MODE, TARGETING_MODES, selectTargets } from './Targeting.js';
+import { UPGRADE_STATS, getUpgradeTree } from './UpgradeTrees.js';
+
+const nearbyEnemies = []; // Reused for every tower's enemy query (see SpatialHash#nearby)
 
 /**
- * Represents a basic tower in the game.
+ * Represents a tower in the game, built from one of the TOWER_TYPES archetypes.
+ * Holds simulation state only; meshes are attached by GameView.
  */
 export class Tower {
     /**
      * Creates a new Tower instance.
-     * @param {THREE.Vector3} position - The position to place the tower.
-     * @param {THREE.Scene} scene - The scene to add the tower mesh to.
-     * @param {object} config - Tower configuration.
-     * @param {number} [config.cost=50] - The gold cost of the tower.
-     * @param {number} [config.color=0x0000ff] - The color of the tower mesh.
-     * @param {object} [config.size={ width: 0.8, height: 1.5, depth: 0.8 }] - Dimensions of the tower mesh.
-     * @param {number} [config.range=5] - The attack range of the tower.
-     * @param {number} [config.damage=10] - The damage per attack.
-     * @param {number} [config.fireRate=1] - Attacks per second.
-     */
-    constructor(position, scene, projectilesArray, config = {}) {
-        this.scene = scene; // Store scene reference early
-        this.projectilesArray = projectilesArray; // Store reference to the global projectiles array
-        const {
-            cost = 50,
-            color = 0x0000ff,
-            size = { width: 0.8, height: 1.5, depth: 0.8 },
-            range = 5, // Base range
-            damage = 10, // Base damage
-            fireRate = 1 // Attacks per second (can also be upgraded later if desired)
-        } = config;
+     * @param {Vec3} position - The position to place the tower (base of the tower).
+     * @param {Projectile[]} projectilesArray - The session's projectile list that shots are pushed to.
+     * @param {string} [typeId=DEFAULT_TOWER_TYPE] - Key of the tower archetype in TOWER_TYPES.
+     * @throws {Error} If the type id is unknown.
+     */
+    constructor(position, projectilesArray, typeId = DEFAULT_TOWER_TYPE) {
+        this.projectilesArray = projectilesArray; // Store reference to the session's projectiles array
+        const type = getTowerType(typeId);
+        const { cost, color, shape, size, range, damage, fireRate, projectile, aura = null } = type;
 
+        this.type = typeId;
+        this.name = type.name;
         this.cost = cost; // Base cost for building
-        this.position = position.clone(); // Store a copy
-
-        // Upgradeable stats
+        this.totalInvestment = cost; // Build cost plus every upgrade paid, used for sell refunds
+        this.color = color;
+        this.shape = shape;
+        this.size = size;
+        this.projectileConfig = projectile;
+        this.aura = aura; // Status effects pulsed onto enemies in range (support towers)
+        this.multiShot = 1; // Targets fired at per attack
+        this.position = new Vec3().copy(position); // Store a copy
+        this.cell = null; // Placement grid cell, assigned by GameSession
+        this.events = null; // The session's EventBus, assigned by GameSession
+
+        // Upgradeable stats (see UpgradeTrees.js)
         this.level = 1;
-        this.baseDamage = damage;
-        this.baseRange = range;
-        this.fireRate = fireRate; // Keep fireRate simple for now
-
-        // Calculate current stats based on level
-        this.damage = this.baseDamage;
-        this.range = this.baseRange;
+        this.upgradeTree = getUpgradeTree(typeId);
+        this.specialization = null; // Key in upgradeTree.specializations once chosen
+        this.damage = damage;
+        this.range = range;
+        this.fireRate = fireRate;
 
+        this.targeting = DEFAULT_TARGETING_MODE; // Key in TARGETING_MODES
         this.currentTarget = null; // The enemy the tower is currently targeting
         this.fireCooldown = 0; // Time remaining until the next shot
+    }
 
-        // Create the visual representation (mesh)
-        const geometry = new THREE.BoxGeometry(size.width, size.height, size.depth);
-        const material = new THREE.MeshStandardMaterial({ color: color });
-        this.mesh = new THREE.Mesh(geometry, material);
+    /**
+     * Captures the tower's persistent state for a save file.
+     * @returns {object} Plain JSON-safe data; see Tower.deserialize.
+     */
+    serialize() {
+        return {
+            type: this.type,
+            x: this.position.x,
+            z: this.position.z,
+            level: this.level,
+            specialization: this.specialization,
+            targeting: this.targeting,
+            totalInvestment: this.totalInvestment,
+            fireCooldown: this.fireCooldown
+        };
+    }
 
-        // Position the mesh correctly on the ground plane (Y=0)
-        this.mesh.position.copy(this.position);
-        this.mesh.position.y += size.height / 2; // Adjust Y so the base is at position.y
+    /**
+     * Rebuilds a tower from Tower#serialize output. Upgrades are replayed
+     * through the upgrade tree so the stats always match the current data.
+     * @param {object} data - Serialized tower.
+     * @param {Projectile[]} projectilesArray - The session's projectile list.
+     * @returns {Tower}
+     * @throws {Error} If the tower type is unknown.
+     */
+    static deserialize(data, projectilesArray) {
+        const tower = new Tower(new Vec3(data.x, 0, data.z), projectilesArray, data.type);
+        while (tower.level < data.level) {
+            if (!tower.upgrade(data.specialization || undefined)) break;
+        }
+        tower.setTargeting(data.targeting);
+        tower.totalInvestment = data.totalInvestment;
+        tower.fireCooldown = data.fireCooldown || 0;
+        return tower;
+    }
 
-        // Add the mesh to the scene
-        this.mesh.userData.towerInstance = this; // Link mesh back to this object for clicks
-        this.scene.add(this.mesh);
+    /**
+     * Releases references held by the tower once it leaves play.
+     */
+    dispose() {
+        this.currentTarget = null;
+        this.projectilesArray = null; // Release reference
+        this.events = null;
+    }
 
-        console.log(`Tower created at (${this.position.x.toFixed(1)}, ${this.position.z.toFixed(1)}) - Lvl: ${this.level}, Cost: ${this.cost}, Range: ${this.range.toFixed(1)}, Dmg: ${this.damage.toFixed(1)}, Rate: ${this.fireRate}`);
+    /**
+     * Returns the highest level this tower can reach.
+     * Before a specialization is chosen, the longest specialization path counts.
+     * @returns {number}
+     */
+    getMaxLevel() {
+        const { tiers, specializations } = this.upgradeTree;
+        const specTiers = this.specialization
+            ? specializations[this.specialization].tiers.length
+            : Math.max(0, ...Object.values(specializations).map(spec => spec.tiers.length));
+        return 1 + tiers.length + specTiers;
+    }
+
+    isMaxLevel() {
+        return this.level >= this.getMaxLevel();
     }
 
     /**
-     * Removes the tower's mesh from the scene.
+     * Checks whether the next upgrade is the specialization choice.
+     * @returns {boolean}
      */
-    dispose() {
-        if (this.mesh && this.scene) {
-            this.scene.remove(this.mesh);
-            // Optional: Dispose geometry and material if no longer needed by other towers
-            // this.mesh.geometry.dispose();
-            // this.mesh.material.dispose();
-            console.log(`Tower removed from (${this.position.x}, ${this.position.y}, ${this.position.z}).`);
+    needsSpecialization() {
+        return !this.specialization
+            && this.level === 1 + this.upgradeTree.tiers.length
+            && Object.keys(this.upgradeTree.specializations).length > 0;
+    }
+
+    /**
+     * Returns the tier the next upgrade would apply.
+     * @param {string} [specializationId] - Required when the next upgrade is the specialization choice.
+     * @returns {object|null} The tier, or null at max level or without a valid specialization.
+     */
+    getNextTier(specializationId) {
+        const { tiers, specializations } = this.upgradeTree;
+        if (this.level <= tiers.length) {
+            return tiers[this.level - 1];
+        }
+        const spec = specializations[this.specialization || specializationId];
+        if (!spec || (this.specialization && specializationId && specializationId !== this.specialization)) {
+            return null;
         }
-        this.mesh = null;
-        this.scene = null; // Release reference
+        return spec.tiers[this.level - 1 - tiers.length] || null;
     }
 
     /**
      * Calculates the cost to upgrade the tower to the next level.
-     * @returns {number} The gold cost for the next upgrade.
+     * @param {string} [specializationId] - Specialization to price when the next upgrade is the choice.
+     * @returns {number|null} The gold cost for the next upgrade, or null if there is none.
      */
-    getUpgradeCost() {
-        // Example cost scaling: doubles each level (adjust formula as needed)
-        // Base cost (this.cost) is the build cost, maybe upgrade cost starts lower?
-        // Let's base it on build cost * 2^(level)
-        return Math.floor(this.cost * Math.pow(1.8, this.level)); // Slightly less than doubling
+    getUpgradeCost(specializationId) {
+        const tier = this.getNextTier(specializationId);
+        return tier ? tier.cost : null;
     }
 
     /**
-     * Upgrades the tower to the next level, increasing its stats.
+     * Describes what the next upgrade would change, for the upgrade panel.
+     * @param {string} [specializationId] - Specialization to preview when the next upgrade is the choice.
+     * @returns {{level: number, cost: number, changes: {stat: string, from: number, to: number}[]}|null}
+     */
+    previewUpgrade(specializationId) {
+        const tier = this.getNextTier(specializationId);
+        if (!tier) return null;
+
+        const changes = UPGRADE_STATS
+            .filter(stat => tier[stat])
+            .map(stat => ({ stat, from: this[stat], to: this[stat] + tier[stat] }));
+        if (tier.multiShot) changes.push({ stat: 'multiShot', from: this.multiShot, to: tier.multiShot });
+        return { level: this.level + 1, cost: tier.cost, changes };
+    }
+
+    /**
+     * Upgrades the tower to the next level, applying the next tier's stats and behavior.
+     * @param {string} [specializationId] - Required when the next upgrade is the specialization choice.
      * @returns {boolean} True if the upgrade was successful, false otherwise (e.g., max level).
      */
-    upgrade() {
-        // Optional: Add a max level check
-        // const MAX_LEVEL = 5;
-        // if (this.level >= MAX_LEVEL) {
-        //     console.log("Tower is already at max level.");
-        //     return false;
-        // }
+    upgrade(specializationId) {
+        const tier = this.getNextTier(specializationId);
+        if (!tier) return false; // At max level, or the specialization choice is missing
 
+        if (this.needsSpecialization()) {
+            this.specialization = specializationId;
+        }
         this.level++;
 
-        // Increase stats based on level (example: 20% damage, 10% range per level)
-        this.damage = this.baseDamage * Math.pow(1.2, this.level - 1);
-        this.range = this.baseRange * Math.pow(1.1, this.level - 1);
-
-        // Optional: Slightly change appearance (e.g., color tint, scale)
-        // Example: Make it slightly taller or change color tint
-        // this.mesh.scale.y = 1 + (this.level - 1) * 0.1;
-        // this.mesh.position.y = (this.mesh.geometry.parameters.height * this.mesh.scale.y) / 2;
-        // this.mesh.material.color.lerp(new THREE.Color(0xffffff), 0.1); // Tint towards white
-
-        console.log(`Tower upgraded to Level ${this.level}. Dmg: ${this.damage.toFixed(1)}, Range: ${this.range.toFixed(1)}`);
+        for (const stat of UPGRADE_STATS) {
+            if (tier[stat]) this[stat] += tier[stat];
+        }
+        if (tier.projectile) this.projectileConfig = { ...this.projectileConfig, ...tier.projectile };
+        if (tier.multiShot) this.multiShot = tier.multiShot;
+        if (tier.aura) this.aura = tier.aura;
         return true;
     }
 
-
     /**
-     * Finds the first valid enemy within range.
-     * @param {Enemy[]} enemies - An array of active enemies.
+     * Checks whether an enemy is still in play and within this tower's range.
+     * @param {Enemy} enemy - The enemy to test.
+     * @returns {boolean}
      */
-    findTarget(enemies) {
-        this.currentTarget = null; // Reset target each time
-        let closestDistanceSq = this.range * this.range; // Use squared distance for efficiency
-
-        for (const enemy of enemies) {
-            if (enemy.isDead()) continue; // Skip dead enemies
-
-            const distanceSq = this.mesh.position.distanceToSquared(enemy.mesh.position);
+    isInRange(enemy) {
+        return !enemy.isDead() && !enemy.hasReachedEnd() && this.position.distanceToSquared(enemy.position) <= this.range * this.range;
+    }
 
-            if (distanceSq <= closestDistanceSq) {
-                // Found a potential target within range
-                // For simplicity, target the first one found. Could be improved later (e.g., closest).
-                this.currentTarget = enemy;
-                console.log(`Tower at (${this.position.x.toFixed(1)}, ${this.position.z.toFixed(1)}) found target enemy.`); // ADDED LOG
-                // closestDistanceSq = distanceSq; // Uncomment to target the *closest* enemy instead of the first
-                break; // Target the first enemy found in range
-            }
+    /**
+     * Changes how the tower prioritises enemies in range.
+     * @param {string} mode - Key in TARGETING_MODES.
+     * @returns {boolean} True if the mode is known and was applied.
+     */
+    setTargeting(mode) {
+        if (!TARGETING_MODES[mode]) {
+            console.warn(`Unknown targeting mode: ${mode}`);
+            return false;
         }
+        this.targeting = mode;
+        return true;
+    }
 
-        // Re-validate target: Check if it's still alive and in range after the loop (or if it was initially null)
-        if (this.currentTarget) {
-            if (this.currentTarget.isDead() || this.mesh.position.distanceToSquared(this.currentTarget.mesh.position) > this.range * this.range) {
-                this.currentTarget = null; // Target became invalid
-            }
-        }
+    /**
+     * Picks the enemies in range that best match the tower's targeting mode,
+     * one per shot; the best becomes the current target.
+     * @param {Enemy[]} enemies - An array of active enemies.
+     * @returns {Enemy[]} Up to multiShot targets, best first.
+     */
+    findTargets(enemies) {
+        const candidates = enemies.filter(enemy => this.isInRange(enemy));
+        const targets = selectTargets(this.targeting, this, candidates, this.multiShot);
+        this.currentTarget = targets[0] || null;
+        return targets;
     }
 
     /**
@@ -157,22 +234,14 @@ export class Tower {
             return;
         }
 
-        console.log(`Tower at (${this.position.x.toFixed(1)}, ${this.position.z.toFixed(1)}) firing at enemy.`);
-
         // Create projectile instead of dealing direct damage
-        const projectileConfig = {
-            speed: 20, // Adjust speed as needed
-            color: 0x00ff00, // Green projectiles
-            size: 0.1,
-            damage: this.damage
-        };
+        const projectileConfig = { ...this.projectileConfig, damage: this.damage };
 
-        // Calculate start position (e.g., top of the tower)
-        const towerHeight = this.mesh.geometry.parameters.height;
-        const startPos = this.mesh.position.clone().add(new THREE.Vector3(0, towerHeight / 2 + 0.1, 0)); // Slightly above the mesh center
+        // Calculate start position (slightly above the top of the tower)
+        const startPos = this.position.clone().add(new Vec3(0, this.size.height + 0.1, 0));
 
-        // Instantiate the projectile
-        const projectile = new Projectile(startPos, target, this.scene, projectileConfig);
+        // Take a projectile from the pool
+        const projectile = projectilePool.acquire(startPos, target, projectileConfig, this);
 
         // Add the projectile to the main list for updates
         if (this.projectilesArray) {
@@ -180,30 +249,54 @@ export class Tower {
         } else {
             console.error("Projectiles array not provided to Tower!");
         }
-
+        if (this.events) this.events.emit('projectileFired', { projectile, tower: this, target });
 
         this.fireCooldown = 1 / this.fireRate; // Reset cooldown after firing
     }
 
+    /**
+     * Applies the tower's aura effects to every enemy in range.
+     * @param {Enemy[]} enemies - An array of active enemies.
+     */
+    pulse(enemies) {
+        for (const enemy of enemies) {
+            if (!this.isInRange(enemy)) continue;
+            for (const effect of this.aura) {
+                enemy.applyEffect(effect);
+            }
+        }
+        this.fireCooldown = 1 / this.fireRate;
+    }
+
     /**
      * Updates the tower's state, including targeting and attacking.
      * @param {number} deltaTime - The time elapsed since the last frame.
-     * @param {Enemy[]} enemies - An array of active enemies.
+     * @param {SpatialHash} enemyIndex - Active enemies by position; only queried when ready to fire.
      */
-    update(deltaTime, enemies) {
+    update(deltaTime, enemyIndex) {
         // Decrement cooldown
         if (this.fireCooldown > 0) {
             this.fireCooldown -= deltaTime;
         }
 
-        // Find a target if we don't have one or the current one is invalid
-        if (!this.currentTarget || this.currentTarget.isDead() || this.mesh.position.distanceToSquared(this.currentTarget.mesh.position) > this.range * this.range) {
-            this.findTarget(enemies);
+        if (this.fireCooldown > 0) {
+            if (this.currentTarget && !this.isInRange(this.currentTarget)) {
+                this.currentTarget = null;
+            }
+            return;
         }
 
-        // If we have a valid target and cooldown is ready, attack
-        if (this.currentTarget && this.fireCooldown <= 0) {
-            this.attack(this.currentTarget);
+        // Re-evaluate targets whenever ready to fire, since priorities (health, path progress) change every frame
+        const enemies = enemyIndex.nearby(this.position, this.range, nearbyEnemies);
+        const targets = this.findTargets(enemies);
+        if (targets.length === 0) return;
+
+        if (this.aura) {
+            this.pulse(enemies);
+        } else {
+            for (const target of targets) {
+                this.attack(target);
+            }
         }
     }
-}
\ No newline at end of file
+}
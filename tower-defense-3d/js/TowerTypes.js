@@ -0,0 +1,130 @@
+// js/TowerTypes.js
+
+/**
+ * Registry of buildable tower archetypes, keyed by type id.
+ * Each entry holds the build cost, combat stats, mesh description and the
+ * config handed to the projectiles the tower fires; its `behavior` picks how
+ * they fly and hit (see PROJECTILE_BEHAVIORS). Support towers define an
+ * `aura` of status effects instead of a projectile; they pulse it onto every
+ * enemy in range at their fire rate. The build menu is generated from this
+ * object in registry order.
+ */
+export const TOWER_TYPES = {
+    'turret': {
+        name: 'Turret',
+        cost: 50,
+        color: 0xffa500,
+        shape: 'box',
+        size: { width: 0.8, height: 1.5, depth: 0.8 },
+        range: 6,
+        damage: 30,
+        fireRate: 1.2,
+        projectile: { speed: 20, color: 0x00ff00, size: 0.1, damageType: 'physical' }
+    },
+    'sniper': {
+        name: 'Sniper',
+        cost: 100,
+        color: 0x2f4f4f,
+        shape: 'box',
+        size: { width: 0.6, height: 2.2, depth: 0.6 },
+        range: 11,
+        damage: 90,
+        fireRate: 0.4,
+        projectile: { speed: 45, color: 0xffffff, size: 0.08, damageType: 'physical' }
+    },
+    'machineGun': {
+        name: 'Machine Gun',
+        cost: 80,
+        color: 0x708090,
+        shape: 'box',
+        size: { width: 0.9, height: 1.0, depth: 0.9 },
+        range: 5,
+        damage: 8,
+        fireRate: 6,
+        projectile: { speed: 30, color: 0xffff00, size: 0.06, damageType: 'physical' }
+    },
+    'cannon': {
+        name: 'Cannon',
+        cost: 120,
+        color: 0x8b4513,
+        shape: 'cylinder',
+        size: { width: 1.0, height: 1.2, depth: 1.0 },
+        range: 6.5,
+        damage: 40,
+        fireRate: 0.6,
+        projectile: {
+            speed: 12, color: 0x222222, size: 0.2, damageType: 'explosive',
+            behavior: 'ballistic', arcHeight: 2, splashRadius: 1.5, splashFalloff: 0.5,
+            effects: [{ type: 'stun', duration: 0.25 }]
+        }
+    },
+    'frost': {
+        name: 'Frost',
+        cost: 90,
+        color: 0x87cefa,
+        shape: 'cylinder',
+        size: { width: 0.8, height: 1.4, depth: 0.8 },
+        range: 5,
+        damage: 5,
+        fireRate: 1.0,
+        projectile: {
+            speed: 18, color: 0xadd8e6, size: 0.12, damageType: 'magic',
+            effects: [{ type: 'slow', magnitude: 0.5, duration: 2 }]
+        }
+    },
+    'venom': {
+        name: 'Venom',
+        cost: 85,
+        color: 0x556b2f,
+        shape: 'cylinder',
+        size: { width: 0.7, height: 1.3, depth: 0.7 },
+        range: 5.5,
+        damage: 4,
+        fireRate: 1.5,
+        projectile: {
+            speed: 16, color: 0x9acd32, size: 0.12, damageType: 'physical',
+            effects: [{ type: 'poison', magnitude: 8, duration: 4 }]
+        }
+    },
+    'tesla': {
+        name: 'Tesla',
+        cost: 110,
+        color: 0x4169e1,
+        shape: 'cylinder',
+        size: { width: 0.7, height: 1.6, depth: 0.7 },
+        range: 5,
+        damage: 20,
+        fireRate: 0.8,
+        projectile: {
+            speed: 40, color: 0x7df9ff, size: 0.1, damageType: 'magic',
+            behavior: 'chain', chainCount: 3, chainRange: 2.5, chainFalloff: 0.7
+        }
+    },
+    'beacon': {
+        name: 'Beacon',
+        cost: 70,
+        color: 0xda70d6,
+        shape: 'cylinder',
+        size: { width: 0.6, height: 1.8, depth: 0.6 },
+        range: 4,
+        damage: 0,
+        fireRate: 1,
+        aura: [{ type: 'armorShred', magnitude: 0.15, duration: 1.5 }]
+    }
+};
+
+export const DEFAULT_TOWER_TYPE = 'turret';
+
+/**
+ * Looks up a tower type by id.
+ * @param {string} typeId - Key in TOWER_TYPES.
+ * @returns {object} The tower type definition.
+ * @throws {Error} If the type id is unknown.
+ */
+export function getTowerType(typeId) {
+    const type = TOWER_TYPES[typeId];
+    if (!type) {
+        throw new Error(`Unknown tower type: ${typeId}`);
+    }
+    return type;
+}
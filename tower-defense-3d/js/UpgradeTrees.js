@@ -0,0 +1,223 @@
+// js/UpgradeTrees.js
+
+/**
+ * Upgrade paths per tower type, keyed by the same ids as TOWER_TYPES.
+ *
+ * A tower first climbs the shared `tiers`; its next upgrade after those is
+ * the specialization choice, and from then on it climbs the chosen
+ * specialization's `tiers`. The level cap is therefore
+ * 1 + tiers.length + specialization tiers.length.
+ *
+ * Each tier has a `cost` plus any of:
+ *  - `damage`, `range`, `fireRate`: amounts added to the tower's stats.
+ *  - `projectile`: fields merged into the tower's projectile config
+ *    (splashRadius, damageType, effects, behavior, ...).
+ *  - `multiShot`: number of targets fired at per attack.
+ *  - `aura`: replaces a support tower's aura effects.
+ */
+export const UPGRADE_TREES = {
+    'turret': {
+        tiers: [
+            { cost: 90, damage: 6, range: 0.5 },
+            { cost: 160, damage: 8, range: 0.5 }
+        ],
+        specializations: {
+            'flak': {
+                name: 'Flak',
+                description: 'Shells burst on impact, hitting nearby enemies.',
+                tiers: [
+                    { cost: 250, damage: 5, projectile: { splashRadius: 1.2, damageType: 'explosive' } },
+                    { cost: 400, damage: 15 }
+                ]
+            },
+            'rapid': {
+                name: 'Rapid Fire',
+                description: 'Fires at two enemies at once.',
+                tiers: [
+                    { cost: 250, fireRate: 0.6, multiShot: 2 },
+                    { cost: 400, fireRate: 0.6, multiShot: 3 }
+                ]
+            }
+        }
+    },
+    'sniper': {
+        tiers: [
+            { cost: 150, damage: 30, range: 1 },
+            { cost: 250, damage: 40, range: 1 }
+        ],
+        specializations: {
+            'piercer': {
+                name: 'Armor Piercer',
+                description: 'Rounds ignore armor and punch through up to three enemies in a line.',
+                tiers: [
+                    { cost: 350, damage: 40, projectile: { damageType: 'magic', behavior: 'piercing', pierce: 3, maxDistance: 16 } },
+                    { cost: 500, damage: 60 }
+                ]
+            },
+            'crippler': {
+                name: 'Crippler',
+                description: 'Shots briefly stun the target.',
+                tiers: [
+                    { cost: 350, damage: 20, projectile: { effects: [{ type: 'stun', duration: 0.5 }] } },
+                    { cost: 500, damage: 40, fireRate: 0.2 }
+                ]
+            }
+        }
+    },
+    'machineGun': {
+        tiers: [
+            { cost: 120, damage: 2, fireRate: 1 },
+            { cost: 200, damage: 3, fireRate: 1 }
+        ],
+        specializations: {
+            'minigun': {
+                name: 'Minigun',
+                description: 'Sprays two enemies at once.',
+                tiers: [
+                    { cost: 300, fireRate: 2, multiShot: 2 },
+                    { cost: 450, damage: 4 }
+                ]
+            },
+            'shredder': {
+                name: 'Shredder',
+                description: 'Bullets shred armor.',
+                tiers: [
+                    { cost: 300, damage: 2, projectile: { effects: [{ type: 'armorShred', magnitude: 0.05, duration: 2 }] } },
+                    { cost: 450, fireRate: 2 }
+                ]
+            }
+        }
+    },
+    'cannon': {
+        tiers: [
+            { cost: 180, damage: 15 },
+            { cost: 280, damage: 20, range: 0.5 }
+        ],
+        specializations: {
+            'mortar': {
+                name: 'Mortar',
+                description: 'Huge blast radius and longer reach.',
+                tiers: [
+                    { cost: 400, range: 2, projectile: { splashRadius: 2.5 } },
+                    { cost: 600, damage: 40 }
+                ]
+            },
+            'concussion': {
+                name: 'Concussion',
+                description: 'Impacts stun for much longer.',
+                tiers: [
+                    { cost: 400, projectile: { effects: [{ type: 'stun', duration: 0.8 }] } },
+                    { cost: 600, damage: 30, fireRate: 0.2 }
+                ]
+            }
+        }
+    },
+    'frost': {
+        tiers: [
+            { cost: 130, damage: 3, range: 0.5 },
+            { cost: 220, damage: 4, range: 0.5 }
+        ],
+        specializations: {
+            'blizzard': {
+                name: 'Blizzard',
+                description: 'Chilling bursts slow everything nearby.',
+                tiers: [
+                    { cost: 350, projectile: { splashRadius: 1.5 } },
+                    { cost: 500, range: 1 }
+                ]
+            },
+            'deepFreeze': {
+                name: 'Deep Freeze',
+                description: 'Slows harder and briefly freezes the target.',
+                tiers: [
+                    { cost: 350, projectile: { effects: [{ type: 'slow', magnitude: 0.7, duration: 2.5 }, { type: 'stun', duration: 0.3 }] } },
+                    { cost: 500, fireRate: 0.5 }
+                ]
+            }
+        }
+    },
+    'venom': {
+        tiers: [
+            { cost: 120, damage: 2 },
+            { cost: 200, range: 0.5, fireRate: 0.3 }
+        ],
+        specializations: {
+            'plague': {
+                name: 'Plague',
+                description: 'Poison splashes onto nearby enemies.',
+                tiers: [
+                    { cost: 320, projectile: { splashRadius: 1.3 } },
+                    { cost: 480, damage: 4 }
+                ]
+            },
+            'corrosive': {
+                name: 'Corrosive',
+                description: 'Poison also shreds armor.',
+                tiers: [
+                    { cost: 320, projectile: { effects: [{ type: 'poison', magnitude: 10, duration: 4 }, { type: 'armorShred', magnitude: 0.1, duration: 3 }] } },
+                    { cost: 480, fireRate: 0.5 }
+                ]
+            }
+        }
+    },
+    'tesla': {
+        tiers: [
+            { cost: 160, damage: 6 },
+            { cost: 260, damage: 8, range: 0.5 }
+        ],
+        specializations: {
+            'storm': {
+                name: 'Storm Coil',
+                description: 'Lightning jumps to more enemies and loses less power.',
+                tiers: [
+                    { cost: 380, projectile: { chainCount: 6, chainFalloff: 0.85 } },
+                    { cost: 550, damage: 15 }
+                ]
+            },
+            'overload': {
+                name: 'Overload',
+                description: 'Every jolt briefly stuns.',
+                tiers: [
+                    { cost: 380, projectile: { effects: [{ type: 'stun', duration: 0.3 }] } },
+                    { cost: 550, fireRate: 0.4 }
+                ]
+            }
+        }
+    },
+    'beacon': {
+        tiers: [
+            { cost: 100, range: 0.5 },
+            { cost: 170, range: 0.5 }
+        ],
+        specializations: {
+            'amplifier': {
+                name: 'Amplifier',
+                description: 'Much stronger armor shred.',
+                tiers: [
+                    { cost: 280, aura: [{ type: 'armorShred', magnitude: 0.25, duration: 1.5 }] },
+                    { cost: 420, range: 1 }
+                ]
+            },
+            'stasis': {
+                name: 'Stasis Field',
+                description: 'Also slows enemies in range.',
+                tiers: [
+                    { cost: 280, aura: [{ type: 'armorShred', magnitude: 0.15, duration: 1.5 }, { type: 'slow', magnitude: 0.3, duration: 1.5 }] },
+                    { cost: 420, range: 1 }
+                ]
+            }
+        }
+    }
+};
+
+// Stats a tier adds to, in the order the upgrade panel lists them
+export const UPGRADE_STATS = ['damage', 'range', 'fireRate'];
+
+/**
+ * Looks up the upgrade tree for a tower type.
+ * @param {string} typeId - Key in TOWER_TYPES.
+ * @returns {object} The upgrade tree; towers without one have no upgrades.
+ */
+export function getUpgradeTree(typeId) {
+    return UPGRADE_TREES[typeId] || { tiers: [], specializations: {} };
+}
@@ -0,0 +1,100 @@
+/**
+ * Minimal 3D vector used by the game logic.
+ * Mirrors the subset of the THREE.Vector3 API the simulation needs, so the
+ * entity classes run in Node without three.js and meshes can still
+ * `position.copy()` straight from an entity's position.
+ */
+export class Vec3 {
+    /**
+     * @param {number} [x=0]
+     * @param {number} [y=0]
+     * @param {number} [z=0]
+     */
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    /**
+     * Copies the components of any {x, y, z} object (Vec3 or THREE.Vector3).
+     * @param {{x: number, y: number, z: number}} v
+     * @returns {Vec3} this
+     */
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        this.z = v.z;
+        return this;
+    }
+
+    clone() {
+        return new Vec3(this.x, this.y, this.z);
+    }
+
+    add(v) {
+        this.x += v.x;
+        this.y += v.y;
+        this.z += v.z;
+        return this;
+    }
+
+    sub(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+        this.z -= v.z;
+        return this;
+    }
+
+    subVectors(a, b) {
+        this.x = a.x - b.x;
+        this.y = a.y - b.y;
+        this.z = a.z - b.z;
+        return this;
+    }
+
+    addScaledVector(v, s) {
+        this.x += v.x * s;
+        this.y += v.y * s;
+        this.z += v.z * s;
+        return this;
+    }
+
+    multiplyScalar(s) {
+        this.x *= s;
+        this.y *= s;
+        this.z *= s;
+        return this;
+    }
+
+    lengthSq() {
+        return this.x * this.x + this.y * this.y + this.z * this.z;
+    }
+
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+
+    normalize() {
+        const length = this.length();
+        return length > 0 ? this.multiplyScalar(1 / length) : this;
+    }
+
+    distanceToSquared(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        const dz = this.z - v.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+}
@@ -1,120 +1,278 @@
 // js/WaveManager.js
-import { Enemy } from './Enemy.js';
-
-// Define basic enemy configurations (adjust as needed)
-const ENEMY_CONFIGS = {
-    'standard': { health: 100, speed: 1.5, value: 10, color: 0xff0000, size: 0.5 },
-    'fast': { health: 50, speed: 3.0, value: 8, color: 0xffff00, size: 0.4 },
-    'tough': { health: 250, speed: 1.0, value: 20, color: 0x0000ff, size: 0.7 }
-};
+import { enemyPool } from './Enemy.js';
+import { ENDLESS_DEFAULTS, generateWave } from './EndlessWaves.js';
 
 export class WaveManager {
-    constructor(scene, path, enemiesArray) {
-        this.scene = scene;
-        this.path = path;
+    /**
+     * @param {Object<string, Path>} routes - The level's routes, keyed by id; the first is the default.
+     * @param {Enemy[]} enemiesArray - The session's enemy list that spawns are pushed to.
+     * @param {object[]} waveConfigs - Waves from the level: { delay, enemies: [{ type, count, interval, route | routes }] }.
+     * @param {object} enemyConfigs - Enemy definitions from the level, keyed by type.
+     * @param {object} [options]
+     * @param {object|null} [options.endless=null] - Endless mode settings (see ENDLESS_DEFAULTS); once the
+     *     authored waves run out, waves are generated instead of the game being won.
+     * @param {Random|null} [options.rng=null] - Seeded generator for endless waves.
+     * @param {EventBus|null} [options.events=null] - The session's event bus; spawns are announced on it.
+     */
+    constructor(routes, enemiesArray, waveConfigs, enemyConfigs, options = {}) {
+        this.routes = routes;
+        this.defaultRouteId = Object.keys(routes)[0];
         this.enemiesArray = enemiesArray; // Reference to the main enemies array
-
-        // Define wave configurations
-        this.waveConfigs = [
-            { // Wave 1
-                enemies: [
-                    { type: 'standard', count: 5, interval: 1.0 }
-                ],
-                delay: 3.0 // Delay before this wave can be started (optional, could be handled by button)
-            },
-            { // Wave 2
-                enemies: [
-                    { type: 'standard', count: 8, interval: 0.8 },
-                    { type: 'fast', count: 3, interval: 1.5 } // Spawn fast ones slightly spaced out
-                ],
-                delay: 5.0
-            },
-            { // Wave 3
-                enemies: [
-                    { type: 'tough', count: 2, interval: 2.0 },
-                    { type: 'standard', count: 10, interval: 0.5 },
-                    { type: 'fast', count: 5, interval: 0.7 }
-                ],
-                delay: 5.0
-            }
-            // Add more waves as needed
-        ];
+        this.waveConfigs = waveConfigs;
+        this.enemyConfigs = enemyConfigs;
+        this.endless = options.endless ? { ...ENDLESS_DEFAULTS, ...options.endless } : null;
+        this.rng = options.rng || null;
+        this.events = options.events || null;
 
         this.currentWaveIndex = -1;
-        this.spawnTimer = 0;
-        this.enemiesToSpawn = []; // Will hold copies of config like { type: 'standard', count: 5, interval: 1.0 }
-        this.activeWave = false;
-        this.timeUntilNextWave = 0; // Could be used for auto-starting waves later
+        // One spawner per wave still spawning; several run side by side when waves overlap
+        this.spawners = []; // [{ waveNumber, spawnTimer, enemiesToSpawn: copies of the wave's groups }]
+        this.activeWave = false; // True from a wave's start until every spawned enemy is gone
+        this.timeUntilNextWave = null; // Countdown to the next wave once the latest one has finished spawning; null when none is running
     }
 
-    startNextWave() {
-        if (this.activeWave) {
-            console.warn("Cannot start a new wave while one is active.");
-            return 'WAVE_ACTIVE'; // Indicate a wave is already running
-        }
+    /**
+     * Checks whether there is another wave to start (always true in endless mode).
+     * @returns {boolean}
+     */
+    hasNextWave() {
+        return !!this.endless || this.currentWaveIndex + 1 < this.waveConfigs.length;
+    }
 
-        this.currentWaveIndex++;
+    /**
+     * Checks whether the countdown to the next wave has run out.
+     * @returns {boolean}
+     */
+    isNextWaveDue() {
+        return this.timeUntilNextWave === 0;
+    }
 
-        if (this.currentWaveIndex >= this.waveConfigs.length) {
-            console.log("All waves completed!");
-            return 'GAME_WON'; // Signal that all waves are done
+    /**
+     * Returns how much earlier than scheduled the next wave would start if called now.
+     * While a wave is still spawning, its countdown has not begun, so the full delay counts.
+     * @returns {number} Seconds; 0 when no wave is running or there is no next wave.
+     */
+    getTimeSavedByCallingNow() {
+        if (!this.hasNextWave()) return 0;
+        if (this.timeUntilNextWave !== null) return this.timeUntilNextWave;
+        return this.spawners.length > 0 ? this.getWaveDelay(this.currentWaveIndex + 1) : 0;
+    }
+
+    /**
+     * Starts the next wave. Waves may overlap: a wave can be called while earlier ones are still running.
+     * @returns {boolean} True if a wave started; false once every authored wave has been started.
+     */
+    startNextWave() {
+        if (!this.hasNextWave()) {
+            return false;
         }
 
-        const currentConfig = this.waveConfigs[this.currentWaveIndex];
-        this.enemiesToSpawn = JSON.parse(JSON.stringify(currentConfig.enemies)); // Deep copy
-        this.spawnTimer = 0; // Start spawning immediately or use config.delay if needed differently
+        this.currentWaveIndex++;
+        const currentConfig = this.getWaveConfig(this.currentWaveIndex);
+        this.spawners.push({
+            waveNumber: this.getCurrentWaveNumber(),
+            spawnTimer: 0, // Start spawning immediately
+            enemiesToSpawn: JSON.parse(JSON.stringify(currentConfig.enemies)) // Deep copy
+        });
         this.activeWave = true;
-        console.log(`Starting Wave ${this.getCurrentWaveNumber()}`);
-        return 'WAVE_STARTED';
+        this.timeUntilNextWave = null; // Restarts once this wave has finished spawning
+        return true;
     }
 
+    /**
+     * Spawns due enemies and runs the countdown to the next wave.
+     * @param {number} deltaTime - Time elapsed since the last update in seconds.
+     * @returns {boolean} True on the update that clears the running waves: nothing left to
+     *     spawn and no enemy on the map.
+     */
     update(deltaTime) {
+        if (this.timeUntilNextWave !== null) {
+            this.timeUntilNextWave = Math.max(0, this.timeUntilNextWave - deltaTime);
+        }
+
         if (!this.activeWave) {
-            return null; // Nothing to do if wave isn't active
+            return false; // Nothing to do if wave isn't active
+        }
+
+        for (let i = this.spawners.length - 1; i >= 0; i--) {
+            this.updateSpawner(this.spawners[i], deltaTime);
+            if (this.spawners[i].enemiesToSpawn.length === 0) {
+                this.spawners.splice(i, 1);
+                if (this.spawners.length === 0 && this.hasNextWave()) {
+                    this.timeUntilNextWave = this.getWaveDelay(this.currentWaveIndex + 1);
+                }
+            }
+        }
+
+        // Check for wave completion
+        if (this.spawners.length === 0 && this.enemiesArray.length === 0) {
+            this.activeWave = false;
+            return true;
         }
 
-        this.spawnTimer -= deltaTime;
+        return false; // Wave still ongoing or spawning
+    }
+
+    /**
+     * Spawns the next enemy of one wave when its timer runs out.
+     * @param {object} spawner - Entry of this.spawners.
+     * @param {number} deltaTime - Time elapsed since the last update in seconds.
+     */
+    updateSpawner(spawner, deltaTime) {
+        spawner.spawnTimer -= deltaTime;
 
-        if (this.spawnTimer <= 0 && this.enemiesToSpawn.length > 0) {
+        if (spawner.spawnTimer <= 0 && spawner.enemiesToSpawn.length > 0) {
             // Find the first enemy type in the list to spawn
-            const spawnInfo = this.enemiesToSpawn[0];
-            const enemyTypeConfig = ENEMY_CONFIGS[spawnInfo.type];
+            const spawnInfo = spawner.enemiesToSpawn[0];
+            const enemyTypeConfig = this.enemyConfigs[spawnInfo.type];
 
             if (!enemyTypeConfig) {
                 console.error(`Unknown enemy type: ${spawnInfo.type}`);
                 // Remove this invalid type to prevent infinite loop
-                this.enemiesToSpawn.shift();
-                return null;
+                spawner.enemiesToSpawn.shift();
+                return;
             }
 
-            // Create and add the enemy
-            const enemy = new Enemy(this.path, this.scene, enemyTypeConfig); // Corrected argument order
-            this.enemiesArray.push(enemy); // Add to the main array
+            // Create and add the enemy on the group's route
+            this.spawnEnemy(spawnInfo.type, this.pickRoute(spawnInfo), {
+                waveNumber: spawner.waveNumber,
+                modifiers: spawnInfo.modifiers,
+                isBoss: spawnInfo.boss,
+                abilities: spawnInfo.abilities
+            });
 
             // Decrement count for this type
             spawnInfo.count--;
 
             // Reset timer for the *next* spawn of this type
-            this.spawnTimer = spawnInfo.interval;
+            spawner.spawnTimer = spawnInfo.interval;
 
             // If count for this type reaches 0, remove it from the list
             if (spawnInfo.count <= 0) {
-                this.enemiesToSpawn.shift(); // Remove the completed type
+                spawner.enemiesToSpawn.shift(); // Remove the completed type
                 // If there's another type immediately next, reset timer for that one
-                if (this.enemiesToSpawn.length > 0) {
-                   this.spawnTimer = this.enemiesToSpawn[0].interval; // Use next interval immediately
+                if (spawner.enemiesToSpawn.length > 0) {
+                   spawner.spawnTimer = spawner.enemiesToSpawn[0].interval; // Use next interval immediately
                 }
             }
         }
+    }
 
-        // Check for wave completion
-        if (this.enemiesToSpawn.length === 0 && this.enemiesArray.length === 0) {
-            console.log(`Wave ${this.getCurrentWaveNumber()} Complete!`);
-            this.activeWave = false;
-            return 'WAVE_COMPLETE';
+    /**
+     * Creates an enemy of a level type, adds it to the session's enemies and announces it.
+     * @param {string} typeId - Key in the level's enemy definitions.
+     * @param {string} routeId - Route to spawn on.
+     * @param {object} [options]
+     * @param {number} [options.waveNumber] - The wave spawning it; defaults to the parent's or the latest wave.
+     * @param {object} [options.modifiers] - Stat multipliers (see Enemy).
+     * @param {boolean} [options.isBoss=false]
+     * @param {object[]} [options.abilities] - Abilities added on top of the type's own.
+     * @param {Enemy|null} [options.parent=null] - Enemy this one split from; it starts where the parent died.
+     * @returns {Enemy|null} The new enemy, or null if the type is unknown.
+     */
+    spawnEnemy(typeId, routeId, options = {}) {
+        const enemyTypeConfig = this.enemyConfigs[typeId];
+        if (!enemyTypeConfig) {
+            console.error(`Unknown enemy type: ${typeId}`);
+            return null;
         }
+        const parent = options.parent || null;
+        const enemy = enemyPool.acquire(this.routes[routeId], {
+            ...enemyTypeConfig,
+            type: typeId,
+            waveNumber: options.waveNumber || (parent ? parent.waveNumber : this.getCurrentWaveNumber()),
+            modifiers: options.modifiers,
+            isBoss: options.isBoss,
+            abilities: [...(enemyTypeConfig.abilities || []), ...(options.abilities || [])]
+        });
+        if (parent) enemy.copyProgress(parent);
+        enemy.events = this.events;
+        this.enemiesArray.push(enemy); // Add to the main array
+        if (this.events) this.events.emit('enemySpawned', { enemy, parent });
+        return enemy;
+    }
+
+    /**
+     * Spawns the enemies a dying enemy splits into, at the same point of its route.
+     * Call before the dead enemy is disposed.
+     * @param {Enemy} parent - The enemy that died.
+     */
+    spawnSplit(parent) {
+        for (const { type, count } of parent.getDeathSpawns()) {
+            for (let i = 0; i < count; i++) {
+                this.spawnEnemy(type, parent.path.id, { parent });
+            }
+        }
+    }
+
+    /**
+     * Returns the config of a wave: authored by the level or, past those in endless mode, generated.
+     * @param {number} waveIndex - 0-based wave index.
+     * @returns {object} { delay, enemies: [group, ...] }
+     */
+    getWaveConfig(waveIndex) {
+        if (waveIndex < this.waveConfigs.length) return this.waveConfigs[waveIndex];
+        return generateWave(waveIndex + 1, this.enemyConfigs, Object.keys(this.routes), this.rng, this.endless);
+    }
+
+    /**
+     * Returns the countdown before a wave, without generating it.
+     * @param {number} waveIndex - 0-based wave index.
+     * @returns {number} Seconds.
+     */
+    getWaveDelay(waveIndex) {
+        if (waveIndex < this.waveConfigs.length) return this.waveConfigs[waveIndex].delay;
+        return this.endless.delay;
+    }
+
+    /**
+     * Chooses the route for the next spawn of a group.
+     * A group either names one `route` or splits across `routes` by weight,
+     * e.g. { north: 2, west: 1 }. Weighted splits use smooth weighted
+     * round-robin, so the order is deterministic and follows the weights
+     * closely even for small counts.
+     * @param {object} spawnInfo - The group being spawned (a copy owned by this wave).
+     * @returns {string} Route id.
+     */
+    pickRoute(spawnInfo) {
+        if (spawnInfo.route) return spawnInfo.route;
+        if (!spawnInfo.routes) return this.defaultRouteId;
+
+        if (!spawnInfo.routeCredits) spawnInfo.routeCredits = {};
+        const credits = spawnInfo.routeCredits;
+        let totalWeight = 0;
+        let bestRoute = null;
+        for (const [routeId, weight] of Object.entries(spawnInfo.routes)) {
+            credits[routeId] = (credits[routeId] || 0) + weight;
+            totalWeight += weight;
+            if (bestRoute === null || credits[routeId] > credits[bestRoute]) bestRoute = routeId;
+        }
+        credits[bestRoute] -= totalWeight;
+        return bestRoute;
+    }
+
+    /**
+     * Captures wave progress, including the spawn queue of a running wave.
+     * @returns {object} Plain JSON-safe data; see WaveManager#restore.
+     */
+    serialize() {
+        return {
+            currentWaveIndex: this.currentWaveIndex,
+            spawners: JSON.parse(JSON.stringify(this.spawners)), // Deep copy
+            activeWave: this.activeWave,
+            timeUntilNextWave: this.timeUntilNextWave
+        };
+    }
 
-        return null; // Wave still ongoing or spawning
+    /**
+     * Restores wave progress from WaveManager#serialize output.
+     * @param {object} data - Serialized wave state.
+     */
+    restore(data) {
+        this.currentWaveIndex = data.currentWaveIndex;
+        this.spawners = JSON.parse(JSON.stringify(data.spawners)); // Deep copy
+        this.activeWave = data.activeWave;
+        this.timeUntilNextWave = data.timeUntilNextWave;
     }
 
     isWaveActive() {
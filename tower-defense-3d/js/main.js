@@ -1,24 +1,63 @@
 // js/main.js
 import * as THREE from 'three';
-import { Path } from './Path.js';
-import { Enemy } from './Enemy.js';
-import { Tower } from './Tower.js';
-import { WaveManager } from './WaveManager.js'; // Import WaveManager
-import { Projectile } from './Projectile.js'; // Import Projectile
+import { GAME_SPEEDS, GameLoop } from './GameLoop.js';
+import { GameSession } from './GameSession.js';
+import { enemyPool } from './Enemy.js';
+import { projectilePool } from './Projectile.js';
+import { GameView, createPathVisual } from './GameView.js';
+import { CameraController } from './CameraController.js';
+import { INPUT_ACTIONS, InputMap, formatKey } from './InputMap.js';
+import { TOWER_TYPES } from './TowerTypes.js';
+import { TARGETING_MODES } from './Targeting.js';
+import { DAMAGE_TYPES } from './Damage.js';
+import { loadLevelFromUrl } from './LevelLoader.js';
+import { SaveError, clearStoredSave, createSave, loadSave, parseSave, readStoredSave, storeSave } from './SaveGame.js';
+import { REPLAY_STORAGE_KEY, ReplayError, ReplayPlayer, createReplay, parseReplay } from './Replay.js';
+
+// --- Level ---
+// Pick a level with ?level=<id>; files live in levels/<id>.json
+// ?endless starts in endless mode (generated waves after the level's own, see EndlessWaves.js)
+// ?resume restores the stored save and ?replay plays the handed-over replay right away
+// (used when loading a save or replay made on another level)
+// ?stats shows live and pooled object counts, to check memory stays flat in long runs
+const DEFAULT_LEVEL_ID = 'meadow';
+const urlParams = new URLSearchParams(window.location.search);
+const levelId = urlParams.get('level') || DEFAULT_LEVEL_ID;
+let level;
+try {
+    level = await loadLevelFromUrl(`levels/${encodeURIComponent(levelId)}.json`);
+} catch (error) {
+    console.error(error);
+    const statusElement = document.getElementById('game-status');
+    if (statusElement) statusElement.textContent = `Failed to load level "${levelId}": ${error.message}`;
+    throw error; // Nothing to play without a level
+}
 
 // --- Game State ---
-let playerGold = 100; // Starting gold
-let playerLives = 20; // Starting lives
-let currentWaveNumber = 0;
-let gameStatus = 'IDLE'; // IDLE, WAVE_ACTIVE, WAVE_COMPLETE, GAME_OVER, GAME_WON
-let waveManager;
+let session = new GameSession(level, { endless: urlParams.has('endless') }); // Owns gold, lives, waves and all entities; replaced when a save is loaded
 let selectedTower = null; // For upgrade UI
 let animationFrameId; // To store the requestAnimationFrame ID
 
-const towers = []; // Array to hold tower instances
 let buildMode = false; // Flag to indicate if player is trying to place a tower
-const projectiles = []; // Array to hold active projectile instances
-const BASIC_TOWER_COST = 50;
+let buildType = null; // TOWER_TYPES key of the tower being placed
+let buildMessage = ''; // Last build feedback (e.g. why a placement was rejected)
+let hoverPoint = null; // Ground point under the pointer in build mode, for the placement ghost
+let saveMessage = ''; // Last save/load/replay feedback
+let autosaveEnabled = true; // Off while navigating to another level's save, so it isn't overwritten
+let replayPlayer = null; // Set while watching a replay; player input is ignored
+
+// Best endless wave reached on this level, kept across visits
+const BEST_WAVE_STORAGE_KEY = `towerDefense3d.bestWave.${level.id}`;
+let bestWave = Number(localStorage.getItem(BEST_WAVE_STORAGE_KEY)) || 0;
+
+// Display settings, shared by every level
+const SETTINGS_STORAGE_KEY = 'towerDefense3d.settings';
+const DEFAULT_SETTINGS = { healthBars: true, damageNumbers: true, edgeScrolling: false };
+const settings = loadSettings();
+
+// Keyboard shortcuts, rebindable in the shortcut list and shared by every level
+const KEY_BINDINGS_STORAGE_KEY = 'towerDefense3d.keyBindings';
+const inputMap = new InputMap(loadKeyBindings());
 const groundRaycastPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // For raycasting, assuming ground is at y=0
 const raycaster = new THREE.Raycaster();
 const pointer = new THREE.Vector2();
@@ -36,13 +75,19 @@ scene.background = new THREE.Color(0x87CEEB); // Sky blue background
 const camera = new THREE.PerspectiveCamera(
     75, window.innerWidth / window.innerHeight, 0.1, 1000
 );
-camera.position.set(0, 15, 12); // Adjusted camera position for better view
-camera.lookAt(0, 0, 0);
 
 const renderer = new THREE.WebGLRenderer({ canvas: canvas, antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(window.devicePixelRatio);
 
+// --- Camera Controls (pan, zoom, rotate; kept over the map) ---
+const cameraController = new CameraController(camera, canvas, {
+    minX: -session.grid.width / 2,
+    maxX: session.grid.width / 2,
+    minZ: -session.grid.depth / 2,
+    maxZ: session.grid.depth / 2
+}, settings);
+
 // --- Lighting ---
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
 scene.add(ambientLight);
@@ -51,7 +96,7 @@ directionalLight.position.set(5, 10, 7.5);
 scene.add(directionalLight);
 
 // --- Ground Plane ---
-const groundGeometry = new THREE.PlaneGeometry(20, 20);
+const groundGeometry = new THREE.PlaneGeometry(session.grid.width, session.grid.depth);
 const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22, side: THREE.DoubleSide });
 const groundMesh = new THREE.Mesh(groundGeometry, groundMaterial);
 groundMesh.rotation.x = -Math.PI / 2;
@@ -59,62 +104,291 @@ groundMesh.position.y = 0;
 groundMesh.name = 'ground';
 scene.add(groundMesh);
 
-// --- Path Definition & Visualization ---
-const path = new Path();
-const pathVisual = path.createPathVisual();
-scene.add(pathVisual);
+// --- Path Visualization (one line per route) ---
+for (const route of Object.values(session.routes)) {
+    scene.add(createPathVisual(route));
+}
 
-// --- Enemy Management ---
+// --- Session Rendering ---
 const clock = new THREE.Clock();
-const enemies = []; // This will be populated by WaveManager
+const gameLoop = new GameLoop(session); // Fixed-timestep ticks, pause and game speed
+const view = new GameView(scene, session, settings);
 
-// --- Initialize Wave Manager ---
-// Ensure scene, path, and enemies array are defined before this
-waveManager = new WaveManager(scene, path, enemies);
+// --- Placement Feedback ---
+const PLACEMENT_MESSAGES = {
+    OUT_OF_BOUNDS: 'Cannot build outside the map.',
+    OUTSIDE_BUILD_ZONE: 'Cannot build outside a build zone.',
+    ON_PATH: 'Cannot build on or next to the path.',
+    OCCUPIED: 'A tower is already there.',
+    NOT_ENOUGH_GOLD: 'Not enough gold!'
+};
 
 // --- UI Elements ---
 const goldDisplay = document.getElementById('gold-display');
-const buildTurretButton = document.getElementById('build-turret-button');
+const buildMenu = document.getElementById('build-menu');
+const buildButtons = {}; // Tower type id -> build menu button
 const buildFeedback = document.getElementById('build-feedback');
 const livesDisplay = document.getElementById('lives-display');
 const waveDisplay = document.getElementById('wave-display');
+const bestWaveRow = document.getElementById('best-wave-row');
+const bestWaveDisplay = document.getElementById('best-wave-display');
+const modeButton = document.getElementById('mode-button');
 const startWaveButton = document.getElementById('start-wave-button');
+const waveCountdown = document.getElementById('wave-countdown');
+const autoStartToggle = document.getElementById('auto-start-toggle');
+const healthBarsToggle = document.getElementById('health-bars-toggle');
+const damageNumbersToggle = document.getElementById('damage-numbers-toggle');
+const edgeScrollingToggle = document.getElementById('edge-scrolling-toggle');
+const resetViewButton = document.getElementById('reset-view-button');
+const keyBindingsTable = document.getElementById('key-bindings-table');
+const resetKeyBindingsButton = document.getElementById('reset-key-bindings-button');
+const speedControls = document.getElementById('speed-controls');
+const pauseButton = document.getElementById('pause-button');
+const speedButtons = {}; // Game speed -> speed button
 const gameStatusDisplay = document.getElementById('game-status');
+const poolStatsDisplay = document.getElementById('pool-stats');
 const upgradeUI = document.getElementById('upgrade-ui');
 const upgradeLevelDisplay = document.getElementById('upgrade-level');
+const upgradeMaxLevelDisplay = document.getElementById('upgrade-max-level');
+const upgradeSpecializationDisplay = document.getElementById('upgrade-specialization');
+const upgradeCostRow = document.getElementById('upgrade-cost-row');
 const upgradeCostDisplay = document.getElementById('upgrade-cost');
+const upgradePreview = document.getElementById('upgrade-preview');
+const specializationChoices = document.getElementById('specialization-choices');
+const targetingSelect = document.getElementById('targeting-select');
 const upgradeButton = document.getElementById('upgrade-button');
+const sellButton = document.getElementById('sell-button');
 const closeUpgradeButton = document.getElementById('close-upgrade-button');
+const saveButton = document.getElementById('save-button');
+const loadButton = document.getElementById('load-button');
+const exportButton = document.getElementById('export-button');
+const importButton = document.getElementById('import-button');
+const importInput = document.getElementById('import-input');
+const saveFeedback = document.getElementById('save-feedback');
+const exportReplayButton = document.getElementById('export-replay-button');
+const watchReplayButton = document.getElementById('watch-replay-button');
+const replayInput = document.getElementById('replay-input');
+const gameReport = document.getElementById('game-report');
+const reportTitle = document.getElementById('report-title');
+const reportSummary = document.getElementById('report-summary');
+const reportTowersTable = document.getElementById('report-towers');
+const reportWavesTable = document.getElementById('report-waves');
+const exportReportButton = document.getElementById('export-report-button');
+const closeReportButton = document.getElementById('close-report-button');
+
+// --- Upgrade Panel ---
+const STAT_LABELS = { damage: 'Damage', range: 'Range', fireRate: 'Fire rate', multiShot: 'Targets' };
+let renderedUpgradeTower = null; // Tower and level the preview was last built for
+let renderedUpgradeLevel = 0;
+let specializationButtons = [];
+
+function formatUpgradeChanges(preview) {
+    return preview.changes
+        .map(({ stat, from, to }) => `${STAT_LABELS[stat]}: ${+from.toFixed(2)} → ${+to.toFixed(2)}`)
+        .join(', ');
+}
+
+/**
+ * Rebuilds the next-tier preview and specialization buttons for a tower.
+ * Only called when the selection or level changes, so buttons survive between frames.
+ */
+function renderUpgradeOptions(tower) {
+    renderedUpgradeTower = tower;
+    renderedUpgradeLevel = tower.level;
+    specializationButtons = [];
+    if (upgradeSpecializationDisplay) {
+        const spec = tower.specialization && tower.upgradeTree.specializations[tower.specialization];
+        upgradeSpecializationDisplay.textContent = spec ? `(${spec.name})` : '';
+    }
+    if (upgradePreview) upgradePreview.textContent = '';
+    if (specializationChoices) specializationChoices.textContent = '';
+
+    if (tower.needsSpecialization()) {
+        if (!specializationChoices) return;
+        for (const [specId, spec] of Object.entries(tower.upgradeTree.specializations)) {
+            const preview = tower.previewUpgrade(specId);
+            const button = document.createElement('button');
+            button.textContent = `${spec.name} (${preview.cost}G)`;
+            button.title = formatUpgradeChanges(preview);
+            button.dataset.cost = preview.cost;
+            button.addEventListener('click', () => upgradeSelectedTower(specId));
+            const description = document.createElement('div');
+            description.textContent = spec.description;
+            specializationChoices.append(button, description);
+            specializationButtons.push(button);
+        }
+    } else if (upgradePreview) {
+        const preview = tower.previewUpgrade();
+        upgradePreview.textContent = preview ? `Next: ${formatUpgradeChanges(preview)}` : '';
+    }
+}
+
+// --- Game Report ---
+let shownReport = null; // Report on screen, kept for export
+
+function fillTable(table, headers, rows) {
+    table.textContent = '';
+    const headerRow = table.insertRow();
+    for (const header of headers) {
+        const cell = document.createElement('th');
+        cell.textContent = header;
+        headerRow.appendChild(cell);
+    }
+    for (const row of rows) {
+        const tableRow = table.insertRow();
+        for (const value of row) tableRow.insertCell().textContent = value;
+    }
+}
+
+// When a tower was built or sold, by the latest wave started then
+function formatReportWave(waveNumber) {
+    if (waveNumber === null) return '?'; // Built before statistics were saved
+    return waveNumber === 0 ? 'Start' : `Wave ${waveNumber}`;
+}
+
+/**
+ * Shows the end-of-game report: totals, then one row per tower built and per wave.
+ */
+function showReport(report) {
+    shownReport = report;
+    if (!gameReport) return;
+    const { totals } = report;
+    reportTitle.textContent = `${report.status === 'GAME_WON' ? 'Victory' : 'Defeat'} on wave ${report.wave}`;
+    reportSummary.textContent = `Damage dealt: ${Math.round(totals.damageDealt)}, kills: ${totals.kills}, `
+        + `leaks: ${totals.leaks}, gold spent on towers: ${totals.goldSpent}G, earned from kills: ${totals.goldEarned}G`;
+    fillTable(reportTowersTable,
+        ['Tower', 'Level', 'Built', 'Sold', 'Shots', 'Accuracy', 'Damage', 'Kills', 'Spent', 'Earned'],
+        report.towers.map(tower => [
+            tower.name,
+            tower.level,
+            formatReportWave(tower.builtOnWave),
+            tower.soldOnWave === null ? '' : formatReportWave(tower.soldOnWave),
+            tower.shotsFired,
+            tower.accuracy === null ? '-' : `${Math.round(tower.accuracy * 100)}%`,
+            Math.round(tower.damageDealt),
+            tower.kills,
+            `${tower.goldSpent}G`,
+            `${tower.goldEarned}G`
+        ]));
+    fillTable(reportWavesTable,
+        ['Wave', 'Spawned', 'Killed', 'Leaked'],
+        report.waves.map(wave => [wave.wave, wave.spawned, wave.killed, wave.leaked]));
+    gameReport.style.display = 'block';
+}
+
+function hideReport() {
+    shownReport = null;
+    if (gameReport) gameReport.style.display = 'none';
+}
 
 // --- UI Update Function ---
 function updateUI() {
-    if (goldDisplay) goldDisplay.textContent = playerGold;
-    if (livesDisplay) livesDisplay.textContent = playerLives;
-    if (waveDisplay) waveDisplay.textContent = currentWaveNumber > 0 ? currentWaveNumber : '-';
+    if (goldDisplay) goldDisplay.textContent = session.gold;
+    if (livesDisplay) livesDisplay.textContent = session.lives;
+    if (waveDisplay) waveDisplay.textContent = session.currentWaveNumber > 0 ? session.currentWaveNumber : '-';
+    if (bestWaveRow) bestWaveRow.style.display = session.endless ? 'block' : 'none';
+    if (bestWaveDisplay) bestWaveDisplay.textContent = bestWave > 0 ? bestWave : '-';
+    if (modeButton) {
+        modeButton.textContent = session.endless ? 'Switch to Campaign' : 'Switch to Endless';
+        modeButton.disabled = !!replayPlayer;
+    }
 
-    if (buildFeedback) buildFeedback.textContent = buildMode ? 'Click on the ground to place tower.' : '';
-    if (buildTurretButton) buildTurretButton.disabled = playerGold < BASIC_TOWER_COST || buildMode || gameStatus === 'GAME_OVER' || gameStatus === 'GAME_WON';
+    if (buildFeedback) {
+        const cancelKey = formatKey(inputMap.getKey('cancel'));
+        buildFeedback.textContent = buildMessage
+            || (buildMode ? `Click on the ground to place ${TOWER_TYPES[buildType].name} (${cancelKey} to cancel).` : '');
+    }
+    for (const [typeId, button] of Object.entries(buildButtons)) {
+        button.disabled = !session.canAfford(typeId) || session.isEnded() || !!replayPlayer;
+        button.classList.toggle('active', buildMode && buildType === typeId);
+    }
+    // Rechecked every frame, since gold and free cells change under a still pointer
+    view.setPlacementPreview(buildMode && hoverPoint && !session.isEnded() ? {
+        typeId: buildType,
+        position: session.grid.snap(hoverPoint),
+        valid: !session.validatePlacement(hoverPoint, buildType)
+    } : null);
+    view.setSelectedTower(session.isEnded() ? null : selectedTower);
 
     if (startWaveButton) {
-        startWaveButton.disabled = !(gameStatus === 'IDLE' || gameStatus === 'WAVE_COMPLETE');
-        startWaveButton.textContent = currentWaveNumber === 0 ? 'Start First Wave' : 'Start Next Wave';
-        if (gameStatus === 'GAME_OVER' || gameStatus === 'GAME_WON') {
-             startWaveButton.disabled = true;
-        }
+        const earlyCallBonus = session.getEarlyCallBonus();
+        startWaveButton.disabled = !session.canStartWave() || !!replayPlayer;
+        if (session.currentWaveNumber === 0) startWaveButton.textContent = 'Start First Wave';
+        else if (earlyCallBonus > 0) startWaveButton.textContent = `Call Next Wave (+${earlyCallBonus}G)`;
+        else startWaveButton.textContent = 'Start Next Wave';
+    }
+    if (waveCountdown) {
+        const timeLeft = session.getTimeUntilNextWave();
+        if (timeLeft === null || session.isEnded()) waveCountdown.textContent = '';
+        else if (timeLeft > 0) waveCountdown.textContent = `Next wave in ${Math.ceil(timeLeft)}s`;
+        else waveCountdown.textContent = session.autoStart ? '' : 'Next wave is ready.';
+    }
+    if (autoStartToggle) {
+        autoStartToggle.checked = session.autoStart;
+        autoStartToggle.disabled = session.isEnded() || !!replayPlayer;
+    }
+
+    if (pauseButton) {
+        pauseButton.textContent = gameLoop.paused ? 'Resume' : 'Pause';
+        pauseButton.disabled = session.isEnded();
+    }
+    for (const [speed, button] of Object.entries(speedButtons)) {
+        button.classList.toggle('active', gameLoop.speed === Number(speed));
     }
 
     if (gameStatusDisplay) {
-        if (gameStatus === 'GAME_OVER') gameStatusDisplay.textContent = 'GAME OVER!';
-        else if (gameStatus === 'GAME_WON') gameStatusDisplay.textContent = 'YOU WIN!';
+        if (session.gameStatus === 'GAME_OVER') gameStatusDisplay.textContent = 'GAME OVER!';
+        else if (session.gameStatus === 'GAME_WON') gameStatusDisplay.textContent = 'YOU WIN!';
+        else if (gameLoop.paused) gameStatusDisplay.textContent = 'PAUSED';
+        else if (replayPlayer) gameStatusDisplay.textContent = 'REPLAY';
         else gameStatusDisplay.textContent = '';
     }
 
+    if (saveButton) saveButton.disabled = session.isEnded() || !!replayPlayer;
+    if (exportButton) exportButton.disabled = session.isEnded() || !!replayPlayer;
+    if (replayPlayer) {
+        const { commands } = replayPlayer.replay;
+        saveMessage = replayPlayer.isFinished()
+            ? 'Replay: all commands played.'
+            : `Replay: ${replayPlayer.nextCommandIndex} / ${commands.length} commands.`;
+    }
+    if (saveFeedback) saveFeedback.textContent = saveMessage;
+
+    if (poolStatsDisplay && urlParams.has('stats')) {
+        const enemies = enemyPool.getStats();
+        const projectiles = projectilePool.getStats();
+        const meshes = view.getMeshStats();
+        poolStatsDisplay.style.display = 'block';
+        poolStatsDisplay.textContent = `Live / pooled: enemies ${enemies.live} / ${enemies.pooled}, `
+            + `projectiles ${projectiles.live} / ${projectiles.pooled}, meshes ${meshes.live} / ${meshes.pooled} `
+            + `(${meshes.geometries} geometries, ${meshes.materials} materials), `
+            + `health bars ${meshes.healthBars.live} / ${meshes.healthBars.pooled}, `
+            + `damage numbers ${meshes.damageNumbers.live} / ${meshes.damageNumbers.pooled}`;
+    }
+
     if (upgradeUI) {
-        if (selectedTower && gameStatus !== 'GAME_OVER' && gameStatus !== 'GAME_WON') {
+        if (selectedTower && !session.isEnded()) {
+            if (selectedTower !== renderedUpgradeTower || selectedTower.level !== renderedUpgradeLevel) {
+                renderUpgradeOptions(selectedTower);
+            }
             upgradeLevelDisplay.textContent = selectedTower.level;
+            upgradeMaxLevelDisplay.textContent = selectedTower.getMaxLevel();
+            const choosing = selectedTower.needsSpecialization();
             const cost = selectedTower.getUpgradeCost();
+            upgradeCostRow.style.display = cost === null ? 'none' : 'block';
             upgradeCostDisplay.textContent = cost;
-            upgradeButton.disabled = playerGold < cost;
+            upgradeButton.style.display = choosing ? 'none' : 'inline-block';
+            upgradeButton.textContent = selectedTower.isMaxLevel() ? 'Max Level' : 'Upgrade';
+            upgradeButton.disabled = cost === null || session.gold < cost || !!replayPlayer;
+            for (const button of specializationButtons) {
+                button.disabled = session.gold < Number(button.dataset.cost) || !!replayPlayer;
+            }
+            if (sellButton) sellButton.disabled = !!replayPlayer;
+            if (targetingSelect) targetingSelect.disabled = !!replayPlayer;
+            if (sellButton) sellButton.textContent = `Sell (+${session.getSellValue(selectedTower)}G)`;
+            if (targetingSelect && targetingSelect.value !== selectedTower.targeting) {
+                targetingSelect.value = selectedTower.targeting;
+            }
             upgradeUI.style.display = 'block';
         } else {
             upgradeUI.style.display = 'none';
@@ -122,83 +396,233 @@ function updateUI() {
     }
 }
 
+// --- Game Events ---
+/**
+ * Subscribes the page to a session's events (see GAME_EVENTS). Called for
+ * every session shown; a replaced session drops its listeners when disposed.
+ */
+function listenToSession(target) {
+    target.events.on('waveStarted', ({ waveNumber }) => {
+        // Record endless progress
+        if (target.endless && !replayPlayer && waveNumber > bestWave) {
+            bestWave = waveNumber;
+            localStorage.setItem(BEST_WAVE_STORAGE_KEY, String(bestWave));
+        }
+    });
+    target.events.on('gameOver', () => {
+        if (!replayPlayer) clearFinishedSave();
+        showReport(target.getReport());
+    });
+}
+listenToSession(session);
+
+// --- Player Commands ---
+/**
+ * Sends a player command to the session. Every input that changes the game goes
+ * through here, so the run is recorded in the session's command log for replays.
+ * @returns {*} The session's result for the command, or null while watching a replay.
+ */
+function issueCommand(command) {
+    if (replayPlayer) {
+        console.warn("Input is ignored while watching a replay.");
+        return null;
+    }
+    return session.execute(command);
+}
+
+// Commands address a tower by its position
+function towerAddress(tower) {
+    return { x: tower.position.x, z: tower.position.z };
+}
+
 // --- Event Listeners ---
 
-// Build Turret Button
-if (buildTurretButton) {
-    buildTurretButton.addEventListener('click', () => {
-        if (playerGold >= BASIC_TOWER_COST && !buildMode && gameStatus !== 'GAME_OVER' && gameStatus !== 'GAME_WON') {
-            buildMode = true;
-            selectedTower = null; // Deselect tower when entering build mode
-            updateUI();
-        } else if (playerGold < BASIC_TOWER_COST) {
-            if (buildFeedback) buildFeedback.textContent = 'Not enough gold!';
+/**
+ * Shows a short message in the status line, cleared again unless the game has ended.
+ */
+function flashStatus(message) {
+    if (!gameStatusDisplay) return;
+    gameStatusDisplay.textContent = message;
+    setTimeout(() => { if (!session.isEnded()) gameStatusDisplay.textContent = ''; }, 1500);
+}
+
+// Build Menu (one button per tower type)
+function enterBuildMode(typeId) {
+    if (session.isEnded() || replayPlayer) return;
+    if (!session.canAfford(typeId)) {
+        buildMessage = PLACEMENT_MESSAGES.NOT_ENOUGH_GOLD;
+        updateUI();
+        return;
+    }
+    buildMode = true;
+    buildType = typeId;
+    buildMessage = '';
+    hoverPoint = null; // The ghost appears once the pointer moves over the ground
+    selectedTower = null; // Deselect tower when entering build mode
+    updateUI();
+}
+
+/**
+ * Enters build mode with the next affordable tower type after the one being
+ * placed (the first one when not building), in build menu order.
+ */
+function cycleBuildType() {
+    const typeIds = Object.keys(TOWER_TYPES);
+    const start = buildMode ? typeIds.indexOf(buildType) + 1 : 0;
+    for (let offset = 0; offset < typeIds.length; offset++) {
+        const typeId = typeIds[(start + offset) % typeIds.length];
+        if (session.canAfford(typeId)) {
+            enterBuildMode(typeId);
+            return;
         }
-    });
-} else { console.error("Build Turret button not found!"); }
+    }
+    enterBuildMode(typeIds[start % typeIds.length]); // Reports that nothing is affordable
+}
+
+/**
+ * Leaves build mode without placing a tower.
+ */
+function cancelBuildMode() {
+    buildMode = false;
+    buildType = null;
+    buildMessage = '';
+    hoverPoint = null;
+    updateUI();
+}
+
+if (buildMenu) {
+    for (const [typeId, type] of Object.entries(TOWER_TYPES)) {
+        const button = document.createElement('button');
+        button.textContent = `${type.name} (${type.cost}G)`;
+        const damageType = type.projectile ? DAMAGE_TYPES[type.projectile.damageType].label : 'Support';
+        button.title = `Range: ${type.range}, Damage: ${type.damage} (${damageType}), Rate: ${type.fireRate}/s`;
+        button.addEventListener('click', () => enterBuildMode(typeId));
+        buildMenu.appendChild(button);
+        buildButtons[typeId] = button;
+    }
+} else { console.error("Build menu not found!"); }
 
 // Start Wave Button
+function startWave() {
+    if (session.canStartWave()) {
+        issueCommand({ type: 'START_WAVE' }); // The animation loop stops itself if this wins the game
+        updateUI();
+    }
+}
+
 if (startWaveButton) {
-    startWaveButton.addEventListener('click', () => {
-        if (gameStatus === 'IDLE' || gameStatus === 'WAVE_COMPLETE') {
-            const waveResult = waveManager.startNextWave();
-            if (waveResult === 'WAVE_STARTED') {
-                gameStatus = 'WAVE_ACTIVE';
-                currentWaveNumber = waveManager.getCurrentWaveNumber();
-                console.log(`Wave ${currentWaveNumber} started.`);
-            } else if (waveResult === 'GAME_WON') {
-                gameStatus = 'GAME_WON';
-                console.log("Game Won!");
-                if (animationFrameId) cancelAnimationFrame(animationFrameId);
-            }
+    startWaveButton.addEventListener('click', () => startWave());
+} else { console.error("Start Wave button not found!"); }
+
+// Auto-start Toggle
+if (autoStartToggle) {
+    autoStartToggle.addEventListener('change', () => {
+        issueCommand({ type: 'SET_AUTO_START', enabled: autoStartToggle.checked });
+        updateUI();
+    });
+} else { console.error("Auto-start toggle not found!"); }
+
+// Mode Button (starts a new game in the other mode)
+if (modeButton) {
+    modeButton.addEventListener('click', () => {
+        if (replayPlayer) return;
+        const inProgress = session.currentWaveNumber > 0 && !session.isEnded();
+        if (inProgress && !window.confirm('Abandon the current game?')) return;
+        resumeSession(new GameSession(level, { endless: !session.endless }));
+        updateUI();
+    });
+} else { console.error("Mode button not found!"); }
+
+// Pause and Game Speed
+function togglePause() {
+    if (session.isEnded()) return;
+    gameLoop.togglePaused();
+    updateUI();
+}
+
+if (pauseButton) {
+    pauseButton.addEventListener('click', () => togglePause());
+} else { console.error("Pause button not found!"); }
+
+if (speedControls) {
+    for (const speed of GAME_SPEEDS) {
+        const button = document.createElement('button');
+        button.textContent = `${speed}x`;
+        button.addEventListener('click', () => {
+            gameLoop.setSpeed(speed);
             updateUI();
-        }
+        });
+        speedControls.appendChild(button);
+        speedButtons[speed] = button;
+    }
+} else { console.error("Speed controls not found!"); }
+
+/**
+ * Points the raycaster at the pointer position of a mouse or touch event.
+ */
+function aimRaycaster(event) {
+    pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+}
+
+/**
+ * Returns the point on the ground mesh under the raycaster, or null if it misses.
+ */
+function pickGround() {
+    const intersects = raycaster.intersectObject(groundMesh);
+    return intersects.length > 0 ? intersects[0].point : null;
+}
+
+// Canvas Pointer Move (placement ghost follows the pointer)
+if (canvas) {
+    canvas.addEventListener('pointermove', (event) => {
+        if (!buildMode) return;
+        aimRaycaster(event);
+        hoverPoint = pickGround();
     });
-} else { console.error("Start Wave button not found!"); }
+    canvas.addEventListener('pointerleave', () => {
+        hoverPoint = null;
+    });
+} else { console.error("Canvas element not found for pointermove listener!"); }
 
 // Canvas Click (Build OR Select Tower)
 if (canvas) {
-    canvas.addEventListener('pointerdown', (event) => {
-        if (gameStatus === 'GAME_OVER' || gameStatus === 'GAME_WON') return; // Ignore clicks if game ended
+    canvas.addEventListener('click', (event) => {
+        if (session.isEnded()) return; // Ignore clicks if game ended
+        if (cameraController.wasDragged()) return; // The press panned the camera instead
 
-        pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
-        pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        raycaster.setFromCamera(pointer, camera);
+        aimRaycaster(event);
 
         if (buildMode) {
             // Build Mode Logic
-            const groundObject = scene.getObjectByName('ground');
-            if (!groundObject) {
-                console.error("Ground mesh not found."); buildMode = false; updateUI(); return;
-            }
-            const intersects = raycaster.intersectObject(groundObject);
-            if (intersects.length > 0) {
-                const intersectPoint = intersects[0].point;
-                if (playerGold >= BASIC_TOWER_COST) {
-                    playerGold -= BASIC_TOWER_COST;
-                    const towerPosition = new THREE.Vector3(intersectPoint.x, 0, intersectPoint.z);
-                    const towerConfig = { cost: BASIC_TOWER_COST, color: 0xffa500, range: 6, damage: 30, fireRate: 1.2 }; // Increased base damage from 15 to 30
-                    const newTower = new Tower(towerPosition, scene, projectiles, towerConfig); // Pass scene AND projectiles array
-                    towers.push(newTower);
+            const intersectPoint = pickGround();
+            hoverPoint = intersectPoint; // Touch input has no hover, so show the ghost where the tap landed
+            if (intersectPoint) {
+                const { tower, reason } = issueCommand({ type: 'BUILD', towerType: buildType, x: intersectPoint.x, z: intersectPoint.z });
+                if (tower) {
                     buildMode = false;
+                    buildType = null;
+                    buildMessage = '';
                     updateUI();
-                    console.log('Placed tower at:', towerPosition.x.toFixed(1), towerPosition.z.toFixed(1));
                 } else {
-                    if (buildFeedback) buildFeedback.textContent = 'Not enough gold!';
-                    buildMode = false; updateUI();
+                    buildMessage = PLACEMENT_MESSAGES[reason] || 'Cannot build here.';
+                    if (reason === 'NOT_ENOUGH_GOLD') { buildMode = false; buildType = null; } // Otherwise stay in build mode so another spot can be tried
+                    updateUI();
                 }
             } else {
-                 if (buildFeedback) buildFeedback.textContent = 'Click on the ground plane.';
+                buildMessage = 'Click on the ground plane.';
+                updateUI();
             }
         } else {
             // Selection Mode Logic
-            const towerMeshes = towers.map(t => t.mesh);
+            buildMessage = '';
+            const towerMeshes = view.getTowerMeshes();
             const intersects = raycaster.intersectObjects(towerMeshes);
             if (intersects.length > 0) {
                 const clickedTowerMesh = intersects[0].object;
                 if (clickedTowerMesh.userData.towerInstance) {
                     selectedTower = clickedTowerMesh.userData.towerInstance;
-                    console.log("Selected Tower:", selectedTower);
                     updateUI();
                 } else {
                     console.warn("Clicked tower mesh missing towerInstance.");
@@ -210,29 +634,52 @@ if (canvas) {
             }
         }
     });
-} else { console.error("Canvas element not found for pointerdown listener!"); }
+} else { console.error("Canvas element not found for click listener!"); }
 
 // Upgrade Button
+function upgradeSelectedTower(specializationId) {
+    if (!selectedTower || session.isEnded() || replayPlayer) return;
+    const cost = selectedTower.getUpgradeCost(specializationId);
+    if (cost === null) return; // Max level or no specialization chosen; the buttons say so already
+    if (session.gold < cost) {
+        flashStatus("Not enough gold!");
+        return;
+    }
+    issueCommand({ type: 'UPGRADE', ...towerAddress(selectedTower), specialization: specializationId });
+    updateUI(); // Update gold and panel info
+}
+
 if (upgradeButton) {
-    upgradeButton.addEventListener('click', () => {
-        if (selectedTower && gameStatus !== 'GAME_OVER' && gameStatus !== 'GAME_WON') {
-            const cost = selectedTower.getUpgradeCost();
-            if (playerGold >= cost) {
-                playerGold -= cost;
-                selectedTower.upgrade();
-                console.log("Tower upgraded!");
-                updateUI(); // Update gold and panel info
-            } else {
-                console.log("Not enough gold to upgrade.");
-                // Optional feedback
-                if (gameStatusDisplay) {
-                    gameStatusDisplay.textContent = "Not enough gold!";
-                    setTimeout(() => { if (gameStatus !== 'GAME_OVER' && gameStatus !== 'GAME_WON') gameStatusDisplay.textContent = ''; }, 1500);
-                }
-            }
+    upgradeButton.addEventListener('click', () => upgradeSelectedTower());
+} else { console.error("Upgrade button not found!"); }
+
+// Sell Button
+function sellSelectedTower() {
+    if (!selectedTower || session.isEnded() || replayPlayer) return;
+    const refund = issueCommand({ type: 'SELL', ...towerAddress(selectedTower) });
+    if (refund) selectedTower = null; // 0 if the tower was not sold
+    updateUI();
+}
+
+if (sellButton) {
+    sellButton.addEventListener('click', () => sellSelectedTower());
+} else { console.error("Sell button not found!"); }
+
+// Targeting Priority Select
+if (targetingSelect) {
+    for (const [mode, { label }] of Object.entries(TARGETING_MODES)) {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = label;
+        targetingSelect.appendChild(option);
+    }
+    targetingSelect.addEventListener('change', () => {
+        if (selectedTower) {
+            issueCommand({ type: 'SET_TARGETING', ...towerAddress(selectedTower), mode: targetingSelect.value });
+            updateUI();
         }
     });
-} else { console.error("Upgrade button not found!"); }
+} else { console.error("Targeting select not found!"); }
 
 // Close Upgrade Button
 if (closeUpgradeButton) {
@@ -242,93 +689,400 @@ if (closeUpgradeButton) {
     });
 } else { console.error("Close Upgrade button not found!"); }
 
+// --- Save / Load ---
+/**
+ * Replaces the running game with another session (restored, replayed or new) and resets all selection state.
+ */
+function resumeSession(restoredSession) {
+    if (session !== restoredSession) {
+        session.dispose(); // Return its enemies and projectiles to the pools
+        listenToSession(restoredSession);
+    }
+    session = restoredSession;
+    hideReport();
+    replayPlayer = null;
+    gameLoop.beforeTick = null;
+    gameLoop.setSession(session);
+    view.setSession(session);
+    selectedTower = null;
+    renderedUpgradeTower = null;
+    buildMode = false;
+    buildType = null;
+    buildMessage = '';
+    cancelAnimationFrame(animationFrameId); // The loop may have stopped at game end; restart it cleanly
+    clock.getDelta(); // Don't count time spent in dialogs as game time
+    animate();
+}
 
-// --- Initial UI Update ---
-updateUI();
-
-// --- Animation Loop ---
-function animate() {
-    animationFrameId = requestAnimationFrame(animate);
+/**
+ * Restores save data, reloading the page first if it was made on another level.
+ */
+function applySave(save) {
+    if (save.levelId !== level.id) {
+        storeSave(save);
+        autosaveEnabled = false;
+        window.location.search = `?level=${encodeURIComponent(save.levelId)}&resume`;
+        return;
+    }
+    try {
+        resumeSession(loadSave(save, level));
+        saveMessage = `Loaded game from ${new Date(save.savedAt).toLocaleString()}.`;
+    } catch (error) {
+        console.error(error);
+        saveMessage = error.message;
+    }
+    updateUI();
+}
 
-    if (gameStatus === 'GAME_OVER' || gameStatus === 'GAME_WON') {
-        return; // Stop updates if game has ended
+/**
+ * Removes the stored save once the game on this level has ended, so it is no
+ * longer offered for loading. A save from another level is left alone.
+ */
+function clearFinishedSave() {
+    let save;
+    try {
+        save = readStoredSave();
+    } catch (error) {
+        return; // Unreadable saves are reported when the player tries to load them
     }
+    if (!save || save.levelId !== level.id) return;
+    clearStoredSave();
+    saveMessage = ''; // "Game saved." or "A saved game is available" no longer holds
+}
 
-    const deltaTime = clock.getDelta();
+if (saveButton) {
+    saveButton.addEventListener('click', () => {
+        if (session.isEnded()) return;
+        storeSave(createSave(session));
+        saveMessage = 'Game saved.';
+        updateUI();
+    });
+} else { console.error("Save button not found!"); }
 
-    // 1. Update Wave Manager (spawns enemies)
-    const waveStatus = waveManager.update(deltaTime);
-    if (waveStatus === 'WAVE_COMPLETE') {
-        gameStatus = 'WAVE_COMPLETE';
-        console.log("Wave complete, ready for next.");
-        updateUI(); // Enable start button
-    }
+if (loadButton) {
+    loadButton.addEventListener('click', () => {
+        let save;
+        try {
+            save = readStoredSave();
+        } catch (error) {
+            console.error(error);
+            saveMessage = error.message;
+            updateUI();
+            return;
+        }
+        if (save) {
+            applySave(save);
+        } else {
+            saveMessage = 'No saved game.';
+            updateUI();
+        }
+    });
+} else { console.error("Load button not found!"); }
 
-    // 2. Update Towers
-    for (const tower of towers) {
-        tower.update(deltaTime, enemies);
-    }
+function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-    // 3. Update Projectiles (iterate backwards for safe removal)
-    for (let i = projectiles.length - 1; i >= 0; i--) {
-        const projectile = projectiles[i];
-        const status = projectile.update(deltaTime);
+if (exportButton) {
+    exportButton.addEventListener('click', () => {
+        if (session.isEnded() || replayPlayer) return;
+        const save = createSave(session);
+        downloadJson(save, `tower-defense-${save.levelId}-wave${session.currentWaveNumber}.json`);
+    });
+} else { console.error("Export button not found!"); }
 
-        if (status === 'HIT_TARGET' || status === 'INVALID_TARGET') {
-            projectile.dispose(); // Remove mesh from scene
-            projectiles.splice(i, 1); // Remove from array
+if (importButton && importInput) {
+    importButton.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = ''; // Allow importing the same file again
+        if (!file) return;
+        try {
+            applySave(parseSave(await file.text()));
+        } catch (error) {
+            console.error(error);
+            saveMessage = error instanceof SaveError ? error.message : `Could not read "${file.name}".`;
+            updateUI();
         }
+    });
+} else { console.error("Import button not found!"); }
+
+// Autosave so a refresh or closed tab can be resumed with Load
+window.addEventListener('beforeunload', () => {
+    if (autosaveEnabled && !replayPlayer && !session.isEnded()) storeSave(createSave(session));
+});
+
+// --- Replays ---
+/**
+ * Starts playing a replay in place of the current game, reloading the page
+ * first if it was recorded on another level.
+ */
+function watchReplay(replay) {
+    if (replay.levelId !== level.id) {
+        localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+        autosaveEnabled = false;
+        window.location.search = `?level=${encodeURIComponent(replay.levelId)}&replay`;
+        return;
     }
+    let player;
+    try {
+        player = new ReplayPlayer(replay, level);
+    } catch (error) {
+        console.error(error);
+        saveMessage = error.message;
+        updateUI();
+        return;
+    }
+    resumeSession(player.session);
+    replayPlayer = player;
+    gameLoop.beforeTick = () => player.applyDueCommands();
+    updateUI();
+}
 
-    // 4. Update Enemies
-    for (let i = enemies.length - 1; i >= 0; i--) {
-        const enemy = enemies[i];
-        enemy.update(deltaTime);
-
-        let removeEnemy = false;
-        if (enemy.isDead()) {
-            playerGold += enemy.value;
-            removeEnemy = true;
-            // console.log(`Enemy defeated! +${enemy.value}G. Gold: ${playerGold}`); // Less verbose logging
-        } else if (enemy.hasReachedEnd()) {
-            playerLives--;
-            console.log(`Enemy reached end! Lives: ${playerLives}`);
-            removeEnemy = true;
-
-            if (playerLives <= 0) {
-                playerLives = 0;
-                gameStatus = 'GAME_OVER';
-                console.log("GAME OVER!");
-                cancelAnimationFrame(animationFrameId);
-                updateUI();
-                return; // Exit loop immediately on game over
-            }
+if (exportReplayButton) {
+    exportReplayButton.addEventListener('click', () => {
+        const replay = replayPlayer ? replayPlayer.replay : createReplay(session);
+        downloadJson(replay, `tower-defense-${replay.levelId}-replay.json`);
+    });
+} else { console.error("Export Replay button not found!"); }
+
+if (watchReplayButton && replayInput) {
+    watchReplayButton.addEventListener('click', () => replayInput.click());
+    replayInput.addEventListener('change', async () => {
+        const file = replayInput.files[0];
+        replayInput.value = ''; // Allow watching the same file again
+        if (!file) return;
+        try {
+            watchReplay(parseReplay(await file.text()));
+        } catch (error) {
+            console.error(error);
+            saveMessage = error instanceof ReplayError ? error.message : `Could not read "${file.name}".`;
+            updateUI();
         }
+    });
+} else { console.error("Watch Replay button not found!"); }
+
+// --- Report Export ---
+if (exportReportButton) {
+    exportReportButton.addEventListener('click', () => {
+        if (shownReport) downloadJson(shownReport, `tower-defense-${shownReport.levelId}-report.json`);
+    });
+} else { console.error("Export Report button not found!"); }
+
+if (closeReportButton) {
+    closeReportButton.addEventListener('click', () => hideReport());
+} else { console.error("Close Report button not found!"); }
 
-        if (removeEnemy) {
-            enemy.dispose();
-            enemies.splice(i, 1);
+// --- Display Settings ---
+/**
+ * Reads the stored display settings, falling back to the defaults for anything missing or unreadable.
+ */
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+        const loaded = { ...DEFAULT_SETTINGS };
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (typeof stored[key] === typeof DEFAULT_SETTINGS[key]) loaded[key] = stored[key];
         }
+        return loaded;
+    } catch (error) {
+        console.warn('Ignoring unreadable display settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+function storeSettings() {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+if (healthBarsToggle) {
+    healthBarsToggle.checked = settings.healthBars;
+    healthBarsToggle.addEventListener('change', () => {
+        settings.healthBars = healthBarsToggle.checked;
+        view.setHealthBarsVisible(settings.healthBars);
+        storeSettings();
+    });
+} else { console.error("Health bars toggle not found!"); }
+
+if (damageNumbersToggle) {
+    damageNumbersToggle.checked = settings.damageNumbers;
+    damageNumbersToggle.addEventListener('change', () => {
+        settings.damageNumbers = damageNumbersToggle.checked;
+        view.setDamageNumbersVisible(settings.damageNumbers);
+        storeSettings();
+    });
+} else { console.error("Damage numbers toggle not found!"); }
+
+if (edgeScrollingToggle) {
+    edgeScrollingToggle.checked = settings.edgeScrolling;
+    edgeScrollingToggle.addEventListener('change', () => {
+        settings.edgeScrolling = edgeScrollingToggle.checked;
+        cameraController.setEdgeScrolling(settings.edgeScrolling);
+        storeSettings();
+    });
+} else { console.error("Edge scrolling toggle not found!"); }
+
+if (resetViewButton) {
+    resetViewButton.addEventListener('click', () => cameraController.resetView());
+} else { console.error("Reset View button not found!"); }
+
+// --- Keyboard Shortcuts ---
+/**
+ * Reads the stored key bindings; InputMap falls back to the defaults for anything missing.
+ */
+function loadKeyBindings() {
+    try {
+        return JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable key bindings:', error);
+        return {};
     }
+}
 
-    // 4. Update UI (call less frequently if performance is an issue, but needed after gold/lives change)
+function storeKeyBindings() {
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(inputMap.serialize()));
+}
+
+/**
+ * Selects the next tower in build order, wrapping around; leaves build mode.
+ */
+function selectNextTower() {
+    const { towers } = session;
+    if (towers.length === 0 || session.isEnded()) return;
+    if (buildMode) cancelBuildMode();
+    selectedTower = towers[(towers.indexOf(selectedTower) + 1) % towers.length];
     updateUI();
+}
 
-    // 5. Render Scene
+inputMap.on('build', () => cycleBuildType());
+inputMap.on('cancel', () => {
+    if (buildMode) cancelBuildMode();
+    else if (selectedTower) { selectedTower = null; updateUI(); }
+});
+inputMap.on('upgrade', () => {
+    if (!selectedTower || selectedTower.isMaxLevel()) return;
+    if (selectedTower.needsSpecialization()) flashStatus('Choose a specialization first.');
+    else upgradeSelectedTower();
+});
+inputMap.on('sell', () => sellSelectedTower());
+inputMap.on('cycleTowers', () => selectNextTower());
+inputMap.on('startWave', () => startWave());
+inputMap.on('pause', () => togglePause());
+inputMap.on('rotateLeft', () => cameraController.holdRotation(1, true), () => cameraController.holdRotation(1, false));
+inputMap.on('rotateRight', () => cameraController.holdRotation(-1, true), () => cameraController.holdRotation(-1, false));
+inputMap.on('resetView', () => cameraController.resetView());
+inputMap.attach(window);
+
+// Buttons that share an action show its key in their tooltip
+const SHORTCUT_BUTTONS = { startWave: startWaveButton, pause: pauseButton, upgrade: upgradeButton, sell: sellButton, resetView: resetViewButton };
+
+/**
+ * Rebuilds the shortcut list (one rebind button per action) and the button tooltips.
+ */
+function renderKeyBindings() {
+    for (const [action, button] of Object.entries(SHORTCUT_BUTTONS)) {
+        if (button) button.title = `Shortcut: ${formatKey(inputMap.getKey(action))}`;
+    }
+    if (!keyBindingsTable) return;
+    keyBindingsTable.textContent = '';
+    for (const [action, { label }] of Object.entries(INPUT_ACTIONS)) {
+        const row = keyBindingsTable.insertRow();
+        row.insertCell().textContent = label;
+        const button = document.createElement('button');
+        button.textContent = formatKey(inputMap.getKey(action));
+        button.title = 'Click, then press the new key (Esc keeps the current one)';
+        button.addEventListener('click', () => {
+            button.textContent = 'Press a key…';
+            inputMap.captureKey(code => {
+                if (code) {
+                    const unbound = inputMap.setKey(action, code);
+                    if (unbound) flashStatus(`${formatKey(code)} no longer triggers "${INPUT_ACTIONS[unbound].label}".`);
+                    storeKeyBindings();
+                }
+                renderKeyBindings();
+            });
+        });
+        row.insertCell().appendChild(button);
+    }
+}
+
+if (resetKeyBindingsButton) {
+    resetKeyBindingsButton.addEventListener('click', () => {
+        inputMap.resetToDefaults();
+        storeKeyBindings();
+        renderKeyBindings();
+    });
+} else { console.error("Reset Key Bindings button not found!"); }
+
+renderKeyBindings();
+
+// --- Initial UI Update ---
+updateUI();
+
+// --- Animation Loop ---
+function animate() {
+    animationFrameId = requestAnimationFrame(animate);
+
+    const frameTime = clock.getDelta();
+
+    // 0. Move the camera for held keys and edge scrolling
+    cameraController.update(frameTime);
+
+    // 1. Advance the simulation in fixed ticks (waves, towers, projectiles, enemies)
+    gameLoop.advance(frameTime);
+
+    // 2. Mirror entities into the scene, blended between the last two ticks
+    view.sync(gameLoop.getInterpolationAlpha(), frameTime);
+
+    // 3. Update UI (call less frequently if performance is an issue, but needed after gold/lives change)
+    updateUI();
+
+    // 4. Render Scene
     renderer.render(scene, camera);
+
+    if (session.isEnded()) {
+        cancelAnimationFrame(animationFrameId); // Stop updates once the final frame is drawn
+    }
 }
 
 // --- Resize Handler ---
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
+    cameraController.handleResize();
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 window.addEventListener('resize', onWindowResize, false);
 
 // --- Start Animation ---
 if (renderer) {
-    animate();
+    let save = null;
+    try {
+        save = readStoredSave();
+    } catch (error) {
+        console.warn("Ignoring unreadable save:", error);
+    }
+    if (save && save.levelId === level.id) {
+        if (urlParams.has('resume')) applySave(save); // Starts the animation loop if the save restores
+        else saveMessage = 'A saved game is available. Press Load to resume.';
+    }
+    const handedOverReplay = urlParams.has('replay') ? localStorage.getItem(REPLAY_STORAGE_KEY) : null;
+    if (handedOverReplay) {
+        localStorage.removeItem(REPLAY_STORAGE_KEY);
+        try {
+            watchReplay(parseReplay(handedOverReplay)); // Starts the animation loop
+        } catch (error) {
+            console.error(error);
+            saveMessage = error.message;
+        }
+    }
+    updateUI();
+    if (animationFrameId === undefined) animate();
 } else {
     console.error("Renderer not initialized, cannot start animation loop.");
 }
\ No newline at end of file
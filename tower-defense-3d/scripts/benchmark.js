@@ -0,0 +1,115 @@
+// scripts/benchmark.js
+// Measures simulation time per tick with a crowded map, with and without the
+// enemy spatial index (see SpatialHash.js). Towers fill the buildable cells
+// closest to the path first, so they all have enemies in range.
+// Usage: node scripts/benchmark.js [towers] [enemies]
+import { readFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { TICK_DURATION } from '../js/GameLoop.js';
+import { distanceToSegmentXZ } from '../js/Geometry.js';
+import { GameSession } from '../js/GameSession.js';
+import { parseLevel } from '../js/LevelLoader.js';
+import { TOWER_TYPES } from '../js/TowerTypes.js';
+
+const TOWER_COUNT = Number(process.argv[2]) || 50;
+const ENEMY_COUNT = Number(process.argv[3]) || 500;
+const MEASURED_TICKS = 1200;
+const ROUNDS = 5; // Each mode runs this many times, alternating; the fastest round counts
+const SPAWN_INTERVAL = 0.1; // All enemies are on the map after ENEMY_COUNT * SPAWN_INTERVAL seconds
+const ENEMY_SPEED = 0.5; // Slow enough that none reach the end of the path before the measured ticks are done
+
+/**
+ * Stand-in for SpatialHash that returns every enemy for every query,
+ * i.e. the plain loops the game used before the index.
+ */
+class LinearIndex {
+    rebuild(items) {
+        this.items = items;
+        this.maxRadius = items.reduce((max, item) => Math.max(max, item.size), 0);
+    }
+
+    nearby() {
+        return this.items;
+    }
+}
+
+const levelFile = new URL('../levels/meadow.json', import.meta.url);
+const level = parseLevel(JSON.parse(readFileSync(levelFile, 'utf8')), levelFile.pathname);
+level.enemyTypes.tough.health = 1e9; // Nothing dies, so the crowd stays the same size
+level.enemyTypes.tough.speed = ENEMY_SPEED;
+level.waves = [{ delay: 0, enemies: [{ type: 'tough', count: ENEMY_COUNT, interval: SPAWN_INTERVAL }] }];
+
+/**
+ * Lists every cell centre of the session's grid, closest to any route first.
+ * @param {GameSession} session
+ * @returns {Vec3[]}
+ */
+function cellsByPathDistance(session) {
+    const segments = [];
+    for (const route of Object.values(session.routes)) {
+        const waypoints = route.getWaypoints();
+        for (let i = 1; i < waypoints.length; i++) segments.push([waypoints[i - 1], waypoints[i]]);
+    }
+    const cells = [];
+    for (let col = 0; col < session.grid.columns; col++) {
+        for (let row = 0; row < session.grid.rows; row++) {
+            const center = session.grid.getCellCenter({ col, row });
+            const distance = Math.min(...segments.map(([a, b]) => distanceToSegmentXZ(center, a, b)));
+            cells.push({ center, distance });
+        }
+    }
+    return cells.sort((a, b) => a.distance - b.distance).map(cell => cell.center);
+}
+
+/**
+ * Fills the map and runs the measured ticks.
+ * @param {boolean} useIndex - False to swap in LinearIndex.
+ * @returns {{msPerTick: number, enemies: number, towers: number, totalHealth: number}}
+ */
+function run(useIndex) {
+    const session = new GameSession(level, { seed: 1 });
+    if (!useIndex) session.enemyIndex = new LinearIndex();
+    session.gold = Infinity;
+    session.lives = Infinity;
+
+    const typeIds = Object.keys(TOWER_TYPES);
+    for (const { x, z } of cellsByPathDistance(session)) {
+        if (session.towers.length >= TOWER_COUNT) break;
+        session.execute({ type: 'BUILD', towerType: typeIds[session.towers.length % typeIds.length], x, z }); // Cells on the path are refused
+    }
+
+    session.execute({ type: 'START_WAVE' });
+    while (session.enemies.length < ENEMY_COUNT && !session.isEnded()) {
+        session.step(TICK_DURATION);
+    }
+
+    const start = performance.now();
+    for (let i = 0; i < MEASURED_TICKS; i++) {
+        session.step(TICK_DURATION);
+    }
+    const elapsed = performance.now() - start;
+
+    return {
+        msPerTick: elapsed / MEASURED_TICKS,
+        enemies: session.enemies.length,
+        towers: session.towers.length,
+        totalHealth: session.enemies.reduce((sum, enemy) => sum + enemy.health, 0)
+    };
+}
+
+let linear = null;
+let indexed = null;
+for (let round = 0; round < ROUNDS; round++) {
+    const linearRound = run(false);
+    const indexedRound = run(true);
+    if (!linear || linearRound.msPerTick < linear.msPerTick) linear = linearRound;
+    if (!indexed || indexedRound.msPerTick < indexed.msPerTick) indexed = indexedRound;
+}
+process.stdout.write(`${JSON.stringify({
+    towers: indexed.towers,
+    enemies: indexed.enemies,
+    linearMsPerTick: Number(linear.msPerTick.toFixed(3)),
+    indexedMsPerTick: Number(indexed.msPerTick.toFixed(3)),
+    speedup: Number((linear.msPerTick / indexed.msPerTick).toFixed(2)),
+    sameOutcome: linear.totalHealth === indexed.totalHealth
+})}\n`);
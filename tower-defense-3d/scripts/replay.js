@@ -0,0 +1,23 @@
+// scripts/replay.js
+// Plays a recorded replay headlessly and checks it reproduces the recorded result.
+// Usage: node scripts/replay.js <replayFile>
+import { readFileSync } from 'node:fs';
+import { parseLevel } from '../js/LevelLoader.js';
+import { ReplayPlayer, parseReplay, summarizeSession } from '../js/Replay.js';
+
+const replayFile = process.argv[2];
+if (!replayFile) {
+    console.error('Usage: node scripts/replay.js <replayFile>');
+    process.exit(2);
+}
+
+const replay = parseReplay(readFileSync(replayFile, 'utf8'));
+const levelFile = new URL(`../levels/${replay.levelId}.json`, import.meta.url);
+const level = parseLevel(JSON.parse(readFileSync(levelFile, 'utf8')), levelFile.pathname);
+
+const session = new ReplayPlayer(replay, level).runToEnd();
+const result = summarizeSession(session);
+const matches = !replay.result || JSON.stringify(result) === JSON.stringify(replay.result);
+
+console.log(JSON.stringify({ result, recorded: replay.result || null, matches }));
+process.exit(matches ? 0 : 1);
@@ -0,0 +1,49 @@
+// scripts/simulate.js
+// Plays a full game headlessly with a fixed tower layout and prints the outcome.
+// Usage: node scripts/simulate.js [levelId] [replayFile]
+// With replayFile, the run is also written as a replay (see scripts/replay.js).
+import { readFileSync, writeFileSync } from 'node:fs';
+import { TICK_DURATION } from '../js/GameLoop.js';
+import { GameSession } from '../js/GameSession.js';
+import { parseLevel } from '../js/LevelLoader.js';
+import { createReplay } from '../js/Replay.js';
+
+const STEP = TICK_DURATION; // Same tick length as the browser game
+const MAX_TIME = 30 * 60; // Give up after 30 simulated minutes
+
+const TOWER_LAYOUT = [
+    { type: 'turret', x: -2, z: 2 },
+    { type: 'turret', x: 2, z: -2 }
+];
+
+const levelId = process.argv[2] || 'meadow';
+const levelFile = new URL(`../levels/${levelId}.json`, import.meta.url);
+const level = parseLevel(JSON.parse(readFileSync(levelFile, 'utf8')), levelFile.pathname);
+
+const session = new GameSession(level, { seed: 1 });
+for (const { type, x, z } of TOWER_LAYOUT) {
+    session.execute({ type: 'BUILD', towerType: type, x, z });
+}
+
+let time = 0;
+while (!session.isEnded() && time < MAX_TIME) {
+    if (session.isBuildPhase()) { // One wave at a time, called as soon as the previous one is cleared
+        session.execute({ type: 'START_WAVE' });
+    }
+    session.step(STEP);
+    time += STEP;
+}
+
+console.log(JSON.stringify({
+    status: session.gameStatus,
+    wave: session.currentWaveNumber,
+    gold: session.gold,
+    lives: session.lives,
+    towers: session.towers.length,
+    simulatedSeconds: Math.round(time)
+}));
+
+const replayFile = process.argv[3];
+if (replayFile) {
+    writeFileSync(replayFile, JSON.stringify(createReplay(session)));
+}
@@ -0,0 +1,50 @@
+// scripts/soak.js
+// Plays a long endless run headlessly and prints live and pooled object counts
+// every 10 waves, to check that memory stays flat.
+// Usage: node scripts/soak.js [levelId] [waves]
+// Wave size is held constant (no budget growth) so later waves stay comparable.
+import { readFileSync } from 'node:fs';
+import { TICK_DURATION } from '../js/GameLoop.js';
+import { GameSession } from '../js/GameSession.js';
+import { enemyPool } from '../js/Enemy.js';
+import { projectilePool } from '../js/Projectile.js';
+import { parseLevel } from '../js/LevelLoader.js';
+
+const REPORT_EVERY = 10; // Waves between reports
+
+const TOWER_LAYOUT = [
+    { type: 'turret', x: -2, z: 2 },
+    { type: 'turret', x: 2, z: -2 },
+    { type: 'cannon', x: -2, z: -2 },
+    { type: 'tesla', x: 2, z: 2 }
+];
+
+const levelId = process.argv[2] || 'meadow';
+const waves = Number(process.argv[3]) || 100;
+const levelFile = new URL(`../levels/${levelId}.json`, import.meta.url);
+const level = parseLevel(JSON.parse(readFileSync(levelFile, 'utf8')), levelFile.pathname);
+level.endless = { ...level.endless, budgetGrowth: 1, healthGrowth: 0 };
+
+const report = line => process.stdout.write(`${JSON.stringify(line)}\n`);
+
+const session = new GameSession(level, { seed: 1, endless: true });
+session.gold = Infinity;
+session.lives = Infinity; // Leaked enemies must not end the run
+for (const { type, x, z } of TOWER_LAYOUT) {
+    session.execute({ type: 'BUILD', towerType: type, x, z });
+}
+session.events.on('waveStarted', ({ waveNumber }) => {
+    if (waveNumber % REPORT_EVERY !== 0) return;
+    report({
+        wave: waveNumber,
+        enemies: enemyPool.getStats(),
+        projectiles: projectilePool.getStats(),
+        heapUsedMB: Math.round(process.memoryUsage().heapUsed / 1048576)
+    });
+});
+session.execute({ type: 'SET_AUTO_START', enabled: true });
+session.execute({ type: 'START_WAVE' });
+
+while (session.currentWaveNumber <= waves && !session.isEnded()) {
+    session.step(TICK_DURATION);
+}